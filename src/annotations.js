@@ -0,0 +1,65 @@
+/**
+ * Brackets that can nest inside a LuaLS type, e.g. table<string, number> or fun(a: string): boolean
+ */
+const OPENING_BRACKETS = { '(': ')', '<': '>', '{': '}', '[': ']' };
+
+/**
+ * Read a LuaLS type from the start of an annotation, types may contain spaces inside brackets,
+ * around `|` and after the `:` of a function's return type
+ * @param {string} text - Annotation text starting with the type, e.g. `fun(a: string): boolean Description`
+ * @returns {Object} { type, rest } with the text after the type trimmed
+ */
+export function readType(text) {
+  const source = text.trimStart();
+  const closing = [];
+  let quote = null;
+  let index = 0;
+
+  for (; index < source.length; index++) {
+    const char = source[index];
+
+    if (quote) {
+      if (char === '\\') index++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+
+    if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (OPENING_BRACKETS[char]) {
+      closing.push(OPENING_BRACKETS[char]);
+    } else if (char === closing[closing.length - 1]) {
+      closing.pop();
+    } else if (/\s/.test(char) && closing.length === 0) {
+      // The type goes on after `|`, `,` or `:`, or when the next word starts with `|`
+      const before = source.substring(0, index).trimEnd();
+      const after = source.substring(index).trimStart();
+
+      if (!/[|,:]$/.test(before) && !after.startsWith('|')) break;
+    }
+  }
+
+  return {
+    type: source.substring(0, index).trim(),
+    rest: source.substring(index).trim()
+  };
+}
+
+/**
+ * Get the names of the types a LuaLS type refers to, e.g. `fun(player: Player): JobData[]` refers to Player and JobData
+ * Parameter and field names (followed by `:`) and string literals are skipped
+ * @param {string} type
+ * @returns {Array}
+ */
+export function collectTypeNames(type) {
+  const names = new Set();
+  const withoutStrings = type.replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '');
+
+  for (const match of withoutStrings.matchAll(/[A-Za-z_][\w.]*(?!\w)(?!\s*:[^:])/g)) {
+    if (match[0] !== 'fun') {
+      names.add(match[0]);
+    }
+  }
+
+  return [...names];
+}
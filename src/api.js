@@ -0,0 +1,50 @@
+import { Workspace } from './workspace.js';
+import { createConfig } from './config.js';
+
+export { LuaParser } from './parser.js';
+export { JsParser } from './js_parser.js';
+export { TypeGenerator, mergeParameters } from './generator.js';
+export { StateBagGenerator } from './state_generator.js';
+export { Workspace } from './workspace.js';
+export { ConfigError, CONFIG_SCHEMA } from './config.js';
+
+/**
+ * Generate the type definitions of a server in memory, without writing anything or touching the process
+ * (apart from the cacheFile option, where parse results are kept between calls)
+ * ```js
+ * import { generate } from 'fivem-lua-type-generator';
+ *
+ * const { files, diagnostics } = await generate({ inputDirs: ['./resources'], exclude: ['**\/[local]/**'] });
+ * ```
+ * @param {Object} options - Config options, the same as in a config file (see CONFIG_SCHEMA), relative paths
+ * are relative to the current directory and outputDir is only used to link the docs to the generated files
+ * @returns {Promise<Object>} { files, docs, results, diagnostics, workspace }:
+ * - files: Object of file path (relative to outputDir) to content, empty when nothing was found
+ * - docs: Object of file path (relative to docsDir) to content, empty without docsDir
+ * - results: Parse result of every file, see Workspace.parseFile
+ * - diagnostics: Lint problems of the sources, files and fxmanifest.lua files that failed to parse included
+ * (see linter.js), empty when generating from api.json manifests
+ * - workspace: The Workspace holding the results, to regenerate single resources
+ * @throws {ConfigError} When the options are invalid or an input doesn't exist
+ */
+export async function generate(options = {}) {
+  const config = createConfig(options);
+  const workspace = new Workspace(config);
+  const fromManifests = config.manifests.length > 0;
+
+  if (fromManifests) {
+    // Types are generated from the parse results stored in api.json files, without any source
+    workspace.loadApiManifests(config.manifests);
+  } else {
+    await workspace.load();
+    await workspace.parseFiles(await workspace.findSourceFiles());
+  }
+
+  return {
+    files: workspace.generateFiles(),
+    docs: config.docsDir ? workspace.generateDocsFiles() : {},
+    results: [...workspace.files.values()],
+    diagnostics: fromManifests ? [] : workspace.lint(),
+    workspace
+  };
+}
@@ -0,0 +1,262 @@
+import { splitTopLevel } from './type_conversion.js';
+
+/**
+ * Player and LocalPlayer states live in the same bag, so a key moving between them isn't a change
+ */
+const STATE_BAG_NAMES = {
+  global: 'GlobalState',
+  player: 'Player',
+  localPlayer: 'Player',
+  entity: 'Entity'
+};
+
+/**
+ * Get the members of a type's union, `string?` counting as string and nil
+ * @param {string} type
+ * @returns {Set}
+ */
+function getUnionMembers(type) {
+  const members = new Set();
+
+  for (const part of splitTopLevel(type || 'any', '|')) {
+    if (part.endsWith('?')) {
+      members.add(part.slice(0, -1).replace(/^\((.*)\)$/, '$1'));
+      members.add('nil');
+    } else {
+      members.add(part);
+    }
+  }
+
+  return members;
+}
+
+/**
+ * Check whether every value of one type is also a value of another, e.g. `string` fits `string|number`
+ * @param {string} narrow
+ * @param {string} wide
+ * @returns {boolean}
+ */
+function fitsType(narrow, wide) {
+  const wideMembers = getUnionMembers(wide);
+  if (wideMembers.has('any')) return true;
+
+  return [...getUnionMembers(narrow)].every(member => wideMembers.has(member));
+}
+
+/**
+ * Compare the parameters and returns of two versions of an export
+ * @param {Object} previous - Export from the previous manifest
+ * @param {Object} current - Export from the current manifest
+ * @returns {Array} Array of { message, breaking }
+ */
+function diffSignatures(previous, current) {
+  const differences = [];
+  const count = Math.max(previous.parameters.length, current.parameters.length);
+
+  for (let index = 0; index < count; index++) {
+    const before = previous.parameters[index];
+    const after = current.parameters[index];
+    const position = `parameter ${index + 1}`;
+
+    if (!after) {
+      differences.push({ message: `${position} \`${before.name}\` was removed`, breaking: true });
+    } else if (!before) {
+      const optional = after.optional || after.name === '...';
+      differences.push({
+        message: `${position} \`${after.name}\` was added${optional ? ' as optional' : ''}`,
+        breaking: !optional
+      });
+    } else {
+      if (before.type !== after.type) {
+        // Callers still pass values of the old type, which is fine as long as the new type accepts them
+        differences.push({
+          message: `${position} \`${after.name}\` type changed from \`${before.type}\` to \`${after.type}\``,
+          breaking: !fitsType(before.type, after.type)
+        });
+      }
+      if (before.optional && !after.optional) {
+        differences.push({ message: `${position} \`${after.name}\` is no longer optional`, breaking: true });
+      } else if (!before.optional && after.optional) {
+        differences.push({ message: `${position} \`${after.name}\` became optional`, breaking: false });
+      }
+      if (before.name !== after.name) {
+        differences.push({ message: `${position} was renamed from \`${before.name}\` to \`${after.name}\``, breaking: false });
+      }
+    }
+  }
+
+  const returnCount = Math.max(previous.returns.length, current.returns.length);
+
+  for (let index = 0; index < returnCount; index++) {
+    const before = previous.returns[index];
+    const after = current.returns[index];
+    const position = `return ${index + 1}`;
+
+    if (!after) {
+      differences.push({ message: `${position} \`${before.type}\` was removed`, breaking: true });
+    } else if (!before) {
+      differences.push({ message: `${position} \`${after.type}\` was added`, breaking: false });
+    } else if (before.type !== after.type) {
+      // Callers expect values of the old type, a narrower type still fits
+      differences.push({
+        message: `${position} type changed from \`${before.type}\` to \`${after.type}\``,
+        breaking: !fitsType(after.type, before.type)
+      });
+    }
+  }
+
+  if (previous.deprecated === null && current.deprecated !== null) {
+    differences.push({ message: 'was deprecated', breaking: false });
+  }
+
+  return differences;
+}
+
+/**
+ * Group the exports of a manifest by resource and name
+ * @param {Object} manifest
+ * @returns {Map} Map of `resource:name` to Map of context to export
+ */
+function collectExports(manifest) {
+  const exports = new Map();
+
+  for (const [resourceName, resource] of Object.entries(manifest.resources || {})) {
+    for (const exp of resource.exports || []) {
+      const key = `${resourceName}:${exp.name}`;
+      if (!exports.has(key)) exports.set(key, new Map());
+      exports.get(key).set(exp.context, exp);
+    }
+  }
+
+  return exports;
+}
+
+/**
+ * Get the type of every state key a manifest's resources write, the union of the types written to it
+ * @param {Object} manifest
+ * @returns {Map} Map of `Bag.key` to type
+ */
+function collectStateTypes(manifest) {
+  const types = new Map();
+
+  for (const resource of Object.values(manifest.resources || {})) {
+    for (const state of resource.states || []) {
+      if (state.access !== 'write') continue;
+
+      const key = `${STATE_BAG_NAMES[state.bag] || state.bag}.${state.key}`;
+      if (!types.has(key)) types.set(key, new Set());
+      types.get(key).add(state.type);
+    }
+  }
+
+  return new Map([...types].map(([key, written]) => [key, [...written].sort().join('|')]));
+}
+
+/**
+ * Compare two api.json manifests
+ * @param {Object} previous - Manifest of the previous run or a saved snapshot
+ * @param {Object} current - Manifest of the current sources
+ * @returns {Array} Array of changes { kind: added/removed/changed, category: export/state, name, message, breaking }
+ * sorted with breaking changes first
+ */
+export function diffApiManifests(previous, current) {
+  const changes = [];
+  const previousExports = collectExports(previous);
+  const currentExports = collectExports(current);
+
+  for (const [name, contexts] of previousExports) {
+    const currentContexts = currentExports.get(name) || new Map();
+
+    for (const [context, before] of contexts) {
+      // An export that moved to shared is still there, any other move drops it from its old side
+      const after = currentContexts.get(context) || currentContexts.get('shared');
+
+      if (!after) {
+        const moved = [...currentContexts.keys()];
+        changes.push({
+          kind: moved.length > 0 ? 'changed' : 'removed',
+          category: 'export',
+          name,
+          message: moved.length > 0
+            ? `moved from ${context} to ${moved.join(', ')}`
+            : `removed (${context})`,
+          breaking: true
+        });
+        continue;
+      }
+
+      if (after.context !== context) {
+        changes.push({ kind: 'changed', category: 'export', name, message: `moved from ${context} to shared`, breaking: false });
+      }
+
+      for (const difference of diffSignatures(before, after)) {
+        changes.push({ kind: 'changed', category: 'export', name, ...difference });
+      }
+    }
+
+    for (const context of currentContexts.keys()) {
+      if (!contexts.has(context) && !(context === 'shared' && contexts.size > 0)) {
+        changes.push({ kind: 'added', category: 'export', name, message: `added (${context})`, breaking: false });
+      }
+    }
+  }
+
+  for (const [name, contexts] of currentExports) {
+    if (previousExports.has(name)) continue;
+
+    for (const context of contexts.keys()) {
+      changes.push({ kind: 'added', category: 'export', name, message: `added (${context})`, breaking: false });
+    }
+  }
+
+  const previousStates = collectStateTypes(previous);
+  const currentStates = collectStateTypes(current);
+
+  for (const [name, type] of previousStates) {
+    const currentType = currentStates.get(name);
+
+    if (currentType === undefined) {
+      changes.push({ kind: 'removed', category: 'state', name, message: 'is no longer written', breaking: true });
+    } else if (currentType !== type) {
+      changes.push({
+        kind: 'changed',
+        category: 'state',
+        name,
+        message: `type changed from \`${type}\` to \`${currentType}\``,
+        breaking: true
+      });
+    }
+  }
+
+  for (const [name, type] of currentStates) {
+    if (!previousStates.has(name)) {
+      changes.push({ kind: 'added', category: 'state', name, message: `added (\`${type}\`)`, breaking: false });
+    }
+  }
+
+  return changes.sort((a, b) => Number(b.breaking) - Number(a.breaking) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Format changes for the console
+ * @param {Array} changes - Changes from diffApiManifests
+ * @returns {string}
+ */
+export function formatApiDiff(changes) {
+  if (changes.length === 0) {
+    return '  No API changes\n';
+  }
+
+  const symbols = { added: '+', removed: '-', changed: '~' };
+  let output = '';
+
+  for (const change of changes) {
+    const label = change.category === 'export' ? 'export' : 'state';
+    output += `  ${symbols[change.kind]} ${label} ${change.name} ${change.message}${change.breaking ? ' [breaking]' : ''}\n`;
+  }
+
+  const breaking = changes.filter(change => change.breaking).length;
+  output += `\n  ${changes.length} change${changes.length === 1 ? '' : 's'}, ${breaking} breaking\n`;
+
+  return output;
+}
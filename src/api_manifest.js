@@ -0,0 +1,380 @@
+import path from 'path';
+import { mergeParameters } from './generator.js';
+
+/**
+ * Version of the api.json schema, bumped whenever a change would break readers of older manifests
+ */
+export const API_MANIFEST_VERSION = 1;
+
+/**
+ * Name of the manifest file written to the output directory
+ */
+export const API_MANIFEST_FILE = 'api.json';
+
+/**
+ * State arrays of a parse result, mapped to the bag their entries are stored under in the manifest
+ */
+const STATE_BAGS = {
+  globalStates: 'global',
+  playerStates: 'player',
+  localPlayerStates: 'localPlayer',
+  entityStates: 'entity'
+};
+
+/**
+ * Turn a shape (see table_shape.js) into plain JSON, fields become an object instead of a Map
+ * @param {Object|null} shape
+ * @returns {Object|null}
+ */
+function serializeShape(shape) {
+  if (!shape) return null;
+
+  const data = { type: shape.type };
+  if (shape.optional) data.optional = true;
+
+  if (shape.type === 'table') {
+    data.fields = Object.fromEntries([...shape.fields].map(([name, field]) => [name, serializeShape(field)]));
+    data.element = serializeShape(shape.element);
+  }
+
+  return data;
+}
+
+/**
+ * Turn a shape read from a manifest back into a shape
+ * @param {Object|null} data
+ * @returns {Object|null}
+ */
+function deserializeShape(data) {
+  if (!data) return null;
+
+  const shape = { type: data.type };
+  if (data.optional) shape.optional = true;
+
+  if (data.type === 'table') {
+    shape.fields = new Map(Object.entries(data.fields || {}).map(([name, field]) => [name, deserializeShape(field)]));
+    shape.element = deserializeShape(data.element);
+  }
+
+  return shape;
+}
+
+/**
+ * Describe a documented function (export, event handler or callback handler) by its merged parameters and returns
+ * @param {Object} entry - Parse result entry with parameters and documentation
+ * @returns {Object}
+ */
+function serializeFunction(entry) {
+  const docs = entry.documentation;
+
+  return {
+    description: entry.description || '',
+    parameters: mergeParameters(entry.parameters, docs.params),
+    returns: docs.returns.map(({ type, description, variants }) => ({ type, description, variants: variants || [] })),
+    generics: docs.generics || [],
+    overloads: docs.overloads || [],
+    see: docs.see || [],
+    nodiscard: docs.nodiscard || false,
+    async: docs.async || false,
+    deprecated: docs.deprecated ?? null
+  };
+}
+
+/**
+ * Turn a function read from a manifest back into the parameters and documentation of a parse result entry
+ * @param {Object} data
+ * @returns {Object} { description, parameters, documentation }
+ */
+function deserializeFunction(data) {
+  const parameters = data.parameters || [];
+
+  return {
+    description: data.description || '',
+    parameters: parameters.map(({ name, optional }) => ({ name, optional: optional || false })),
+    documentation: {
+      description: data.description || '',
+      params: parameters.map(param => ({ variants: [], optional: false, description: '', ...param })),
+      returns: (data.returns || []).map(ret => ({ variants: [], description: '', ...ret })),
+      overloads: data.overloads || [],
+      generics: data.generics || [],
+      see: data.see || [],
+      nodiscard: data.nodiscard || false,
+      async: data.async || false,
+      deprecated: data.deprecated ?? undefined,
+      rawComments: []
+    }
+  };
+}
+
+/**
+ * Builds the api.json manifest: every resource's exports, type definitions, state keys, events and callbacks
+ * with the location they were found at, so types can be generated again without the source
+ */
+export class ApiManifestBuilder {
+  /**
+   * @param {Array} inputDirs - Source locations are stored relative to the one they are in
+   */
+  constructor(inputDirs) {
+    this.inputDirs = inputDirs;
+    this.resources = new Map(); // Map of resource name to its manifest entry
+  }
+
+  /**
+   * Get the manifest entry of a resource, creating it when needed
+   * @param {string} resourceName
+   * @returns {Object}
+   */
+  getResource(resourceName) {
+    if (!this.resources.has(resourceName)) {
+      this.resources.set(resourceName, { exports: [], types: [], states: [], events: [], callbacks: [] });
+    }
+    return this.resources.get(resourceName);
+  }
+
+  /**
+   * Get the location of an entry relative to the input directory
+   * @param {Object} entry - Anything with filePath and line
+   * @returns {Object} { file, line }
+   */
+  getSource(entry) {
+    let file = entry.filePath;
+
+    if (path.isAbsolute(file)) {
+      const inputDir = this.inputDirs.find(dir => !path.relative(dir, file).startsWith('..'));
+      if (inputDir) file = path.relative(inputDir, file);
+    }
+
+    return { file: file.split(path.sep).join('/'), line: entry.line };
+  }
+
+  /**
+   * Add the exports of a resource, with references already resolved
+   * Return types inferred from the code and references that couldn't be resolved are kept, so the declarations
+   * generated from the manifest match the ones generated from the source
+   * @param {string} resourceName
+   * @param {Array} exports
+   */
+  addExports(resourceName, exports) {
+    const resource = this.getResource(resourceName);
+
+    for (const exp of exports) {
+      resource.exports.push({
+        name: exp.name,
+        context: exp.context,
+        language: exp.language || 'lua',
+        ...serializeFunction(exp),
+        inferredReturns: exp.returnTypes || [],
+        reference: exp.reference || null,
+        source: this.getSource(exp)
+      });
+    }
+  }
+
+  /**
+   * Add the @class, @alias and @enum definitions the exports of a resource use
+   * @param {string} resourceName
+   * @param {Array} definitions
+   */
+  addTypeDefinitions(resourceName, definitions) {
+    const resource = this.getResource(resourceName);
+
+    for (const definition of definitions) {
+      resource.types.push({
+        kind: definition.kind,
+        name: definition.name,
+        text: definition.text,
+        references: definition.references,
+        source: this.getSource(definition)
+      });
+    }
+  }
+
+  /**
+   * Add the state bag, event and callback entries of a parse result
+   * @param {Object} result - Parse result from Workspace.parseFile
+   */
+  addParseResult(result) {
+    const hasEntries = Object.keys(STATE_BAGS).some(key => result[key].length > 0) ||
+      result.events.length > 0 || result.callbacks.length > 0;
+    if (!hasEntries) return;
+
+    const resource = this.getResource(result.resourceName);
+
+    for (const [key, bag] of Object.entries(STATE_BAGS)) {
+      for (const state of result[key]) {
+        resource.states.push({
+          bag,
+          key: state.name,
+          type: state.type,
+          access: state.access,
+          context: state.context,
+          value: state.value,
+          shape: serializeShape(state.shape),
+          replicated: state.replicated,
+          ...(state.declared ? { declared: true } : {}),
+          ...(state.description ? { description: state.description } : {}),
+          ...(state.entityType ? { entityType: state.entityType } : {}),
+          source: this.getSource(state)
+        });
+      }
+    }
+
+    for (const event of result.events) {
+      resource.events.push({
+        name: event.name,
+        net: event.net,
+        context: event.context,
+        hasHandler: event.hasHandler,
+        ...serializeFunction(event),
+        source: this.getSource(event)
+      });
+    }
+
+    for (const callback of result.callbacks) {
+      resource.callbacks.push({
+        name: callback.name,
+        framework: callback.framework,
+        leading: callback.leading,
+        context: callback.context,
+        ...serializeFunction(callback),
+        inferredReturns: callback.returnTypes,
+        source: this.getSource(callback)
+      });
+    }
+  }
+
+  /**
+   * Build the manifest
+   * @returns {Object} The manifest, resources sorted by name
+   */
+  build() {
+    const resources = {};
+    for (const name of [...this.resources.keys()].sort()) {
+      resources[name] = this.resources.get(name);
+    }
+
+    return { version: API_MANIFEST_VERSION, resources };
+  }
+
+  /**
+   * Generate the manifest file
+   * @returns {Object} Map of filename to content
+   */
+  generate() {
+    return { [API_MANIFEST_FILE]: JSON.stringify(this.build(), null, 2) + '\n' };
+  }
+}
+
+/**
+ * Read an api.json manifest back into parse results, one per resource and source file
+ * @param {Object} manifest - Parsed api.json content
+ * @param {string} manifestPath - Path of the manifest, for error messages
+ * @returns {Array} Parse results in the shape of Workspace.parseFile
+ * @throws {Error} When the manifest has no version, or one this version of the generator can't read
+ */
+export function readApiManifest(manifest, manifestPath) {
+  if (!manifest || typeof manifest !== 'object' || typeof manifest.version !== 'number') {
+    throw new Error(`${manifestPath} is not an api.json manifest (missing "version")`);
+  }
+  if (manifest.version > API_MANIFEST_VERSION) {
+    throw new Error(`${manifestPath} uses schema version ${manifest.version}, this generator only reads up to version ${API_MANIFEST_VERSION}`);
+  }
+
+  const results = new Map(); // Map of resource name and file to parse result
+
+  const getResult = (resourceName, source) => {
+    const key = `${resourceName}\0${source.file}`;
+    if (!results.has(key)) {
+      results.set(key, {
+        filePath: source.file,
+        resourceName,
+        context: 'shared',
+        unloaded: false,
+        exports: [],
+        exportTables: [],
+        globalStates: [],
+        playerStates: [],
+        localPlayerStates: [],
+        entityStates: [],
+        events: [],
+        callbacks: [],
+        typeDefinitions: [],
+        functionDefinitions: []
+      });
+    }
+    return results.get(key);
+  };
+
+  for (const [resourceName, resource] of Object.entries(manifest.resources || {})) {
+    for (const exp of resource.exports || []) {
+      getResult(resourceName, exp.source).exports.push({
+        name: exp.name,
+        context: exp.context,
+        ...(exp.language === 'js' ? { language: 'js' } : {}),
+        ...deserializeFunction(exp),
+        returnTypes: exp.inferredReturns || [],
+        reference: exp.reference || null,
+        filePath: exp.source.file,
+        line: exp.source.line
+      });
+    }
+
+    for (const definition of resource.types || []) {
+      getResult(resourceName, definition.source).typeDefinitions.push({
+        kind: definition.kind,
+        name: definition.name,
+        text: definition.text,
+        references: definition.references || [],
+        filePath: definition.source.file,
+        line: definition.source.line
+      });
+    }
+
+    for (const state of resource.states || []) {
+      const key = Object.keys(STATE_BAGS).find(name => STATE_BAGS[name] === state.bag);
+      if (!key) continue;
+
+      getResult(resourceName, state.source)[key].push({
+        name: state.key,
+        type: state.type,
+        access: state.access,
+        context: state.context,
+        filePath: state.source.file,
+        line: state.source.line,
+        value: state.value || '',
+        shape: deserializeShape(state.shape),
+        replicated: state.replicated,
+        declared: state.declared || false,
+        description: state.description || '',
+        ...(state.entityType ? { entityType: state.entityType } : {})
+      });
+    }
+
+    for (const event of resource.events || []) {
+      getResult(resourceName, event.source).events.push({
+        name: event.name,
+        net: event.net,
+        context: event.context,
+        hasHandler: event.hasHandler,
+        ...deserializeFunction(event),
+        filePath: event.source.file,
+        line: event.source.line
+      });
+    }
+
+    for (const callback of resource.callbacks || []) {
+      getResult(resourceName, callback.source).callbacks.push({
+        name: callback.name,
+        framework: callback.framework,
+        leading: callback.leading,
+        context: callback.context,
+        ...deserializeFunction(callback),
+        returnTypes: callback.inferredReturns || [],
+        filePath: callback.source.file,
+        line: callback.source.line
+      });
+    }
+  }
+
+  return [...results.values()];
+}
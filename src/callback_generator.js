@@ -0,0 +1,222 @@
+import { mergeParameters } from './generator.js';
+
+/**
+ * Generates typed overloads of the callback trigger functions from lib.callback.register and
+ * QBCore.Functions.CreateCallback registrations, for use on the side opposite to where they are registered
+ */
+export class CallbackGenerator {
+  constructor() {
+    this.callbacks = new Map(); // Map of framework, context and callback name to callback info
+  }
+
+  /**
+   * Add callback registrations from a resource
+   * @param {Array} callbacks - Array of callback definitions
+   * @param {string} resourceName - Name of the resource
+   */
+  addCallbacks(callbacks, resourceName) {
+    for (const callback of callbacks) {
+      const key = `${callback.framework}:${callback.context}:${callback.name}`;
+      const existing = this.callbacks.get(key);
+
+      if (existing) {
+        if (!existing.resources.includes(resourceName)) {
+          existing.resources.push(resourceName);
+        }
+      } else {
+        this.callbacks.set(key, {
+          ...callback,
+          resources: [resourceName]
+        });
+      }
+    }
+  }
+
+  /**
+   * Generate the callback type definition file
+   * @returns {Object} Map of filename to content
+   */
+  generate() {
+    const files = {};
+
+    if (this.callbacks.size === 0) {
+      return files;
+    }
+
+    files['callbacks.lua'] = this.generateCallbackFile();
+
+    return files;
+  }
+
+  /**
+   * Generate the complete callback type definition file
+   * @returns {string}
+   */
+  generateCallbackFile() {
+    let content = '---@meta\n\n';
+
+    const sorted = Array.from(this.callbacks.values()).sort((a, b) => a.name.localeCompare(b.name));
+    const oxCallbacks = sorted.filter(callback => callback.framework === 'ox_lib');
+    const qbCallbacks = sorted.filter(callback => callback.framework === 'qbcore' && callback.context !== 'client');
+
+    if (oxCallbacks.length > 0) {
+      content += this.generateOxLibSection(oxCallbacks);
+    }
+
+    if (qbCallbacks.length > 0) {
+      content += this.generateQBCoreSection(qbCallbacks);
+    }
+
+    return content.trim() + '\n';
+  }
+
+  /**
+   * Generate lib.callback and lib.callback.await overloads
+   * Callbacks registered on the server are called from the client with a delay,
+   * callbacks registered on the client are called from the server with a player id
+   * @param {Array} callbacks
+   * @returns {string}
+   */
+  generateOxLibSection(callbacks) {
+    const callbackOverloads = [];
+    const awaitOverloads = [];
+
+    for (const callback of callbacks) {
+      for (const side of this.getRegisteredSides(callback)) {
+        const target = side === 'server'
+          ? 'delay: number|false|nil'
+          : 'playerId: number';
+
+        // Handlers registered on the server receive source before the payload
+        const payload = this.getPayload(callback, side === 'server' ? callback.leading : 0);
+        const returns = this.getReturnTypes(callback);
+
+        callbackOverloads.push(`fun(${[this.quoteName(callback.name), target, `cb: fun(${this.formatResults(returns)})`, ...payload].join(', ')})`);
+        awaitOverloads.push(`fun(${[this.quoteName(callback.name), target, ...payload].join(', ')})${returns.length > 0 ? ': ' + returns.join(', ') : ''}`);
+      }
+    }
+
+    let content = '';
+    content += '---Trigger a callback registered on the other side, cb receives its results\n';
+    content += '---@param name string\n';
+    content += '---@param delayOrPlayerId number|false|nil Delay before the callback can be triggered again (client), or the player to call (server)\n';
+    content += '---@param cb function\n';
+    content += '---@param ... any\n';
+    for (const overload of callbackOverloads) {
+      content += `---@overload ${overload}\n`;
+    }
+    content += 'function lib.callback(name, delayOrPlayerId, cb, ...) end\n\n';
+
+    content += '---Trigger a callback registered on the other side and wait for its results\n';
+    content += '---@param name string\n';
+    content += '---@param delayOrPlayerId number|false|nil Delay before the callback can be triggered again (client), or the player to call (server)\n';
+    content += '---@param ... any\n';
+    content += '---@return any ...\n';
+    for (const overload of awaitOverloads) {
+      content += `---@overload ${overload}\n`;
+    }
+    content += 'function lib.callback.await(name, delayOrPlayerId, ...) end\n\n';
+
+    return content;
+  }
+
+  /**
+   * Generate QBCore.Functions.TriggerCallback overloads
+   * They belong to the class of the core object rather than a global QBCore, which the usual
+   * `local QBCore = exports['qb-core']:GetCoreObject()` would shadow
+   * @param {Array} callbacks - Callbacks registered on the server
+   * @returns {string}
+   */
+  generateQBCoreSection(callbacks) {
+    let content = '';
+    content += '---@class QBCore\n';
+    content += '---@field Functions QBCore.Functions\n\n';
+    content += '---@class QBCore.Functions\n';
+    content += 'local Functions = {}\n\n';
+
+    content += '---Trigger a callback registered on the server with QBCore.Functions.CreateCallback\n';
+    content += '---@param name string\n';
+    content += '---@param cb function\n';
+    content += '---@param ... any\n';
+
+    for (const callback of callbacks) {
+      const payload = this.getPayload(callback, callback.leading);
+      const results = this.formatResults(this.getReturnTypes(callback));
+      content += `---@overload fun(${[this.quoteName(callback.name), `cb: fun(${results})`, ...payload].join(', ')})\n`;
+    }
+
+    content += 'function Functions.TriggerCallback(name, cb, ...) end\n\n';
+
+    return content;
+  }
+
+  /**
+   * Get the sides a callback is registered on, shared registrations exist on both
+   * @param {Object} callback
+   * @returns {Array}
+   */
+  getRegisteredSides(callback) {
+    return callback.context === 'shared' ? ['server', 'client'] : [callback.context];
+  }
+
+  /**
+   * Get the payload parameters of a callback as fun() parameters
+   * @param {Object} callback
+   * @param {number} leading - Number of handler parameters filled in by the framework
+   * @returns {Array} Array of `name: type` strings
+   */
+  getPayload(callback, leading) {
+    const skipped = callback.parameters.slice(0, leading).map(p => p.name);
+    const funcParams = callback.parameters.slice(leading);
+    const docParams = callback.documentation.params.filter(p => !skipped.includes(p.name));
+
+    return mergeParameters(funcParams, docParams).map(param => `${param.name}${param.optional ? '?' : ''}: ${param.type}`);
+  }
+
+  /**
+   * Get the return types of a callback, preferring documented ones over inferred ones
+   * @param {Object} callback
+   * @returns {Array}
+   */
+  getReturnTypes(callback) {
+    if (callback.documentation.returns.length > 0) {
+      return callback.documentation.returns.map(ret => ret.type);
+    }
+
+    return callback.returnTypes;
+  }
+
+  /**
+   * Format return types as the parameters of a result callback
+   * @param {Array} returns
+   * @returns {string}
+   */
+  formatResults(returns) {
+    if (returns.length === 0) {
+      return '...: any';
+    }
+
+    if (returns.length === 1) {
+      return `result: ${returns[0]}`;
+    }
+
+    return returns.map((type, index) => `result${index + 1}: ${type}`).join(', ');
+  }
+
+  /**
+   * Format the name parameter of an overload as a string literal type
+   * @param {string} name
+   * @returns {string}
+   */
+  quoteName(name) {
+    return `name: '${name.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+
+  /**
+   * Get count of unique callbacks found
+   * @returns {number}
+   */
+  getCount() {
+    return this.callbacks.size;
+  }
+}
@@ -0,0 +1,425 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { parseLua } from './lua_ast.js';
+
+/**
+ * Config files looked up in the current directory when no --config is given, in order of preference
+ */
+export const CONFIG_FILES = ['config.json', 'config.js', 'config.lua'];
+
+/**
+ * Every config option with its type and default value
+ * Types: string, boolean, number, or string[] (a single string is accepted too)
+ */
+export const CONFIG_SCHEMA = {
+  inputDirs: { type: 'string[]', path: true, default: [], description: 'Directories to scan (server resource folders)' },
+  inputDir: { type: 'string', path: true, description: 'Single directory to scan, same as inputDirs with one entry' },
+  outputDir: { type: 'string', path: true, default: './types', description: 'Where to write the generated files' },
+  excludePatterns: { type: 'string[]', default: [], description: 'Glob patterns to skip' },
+  exclude: { type: 'string[]', description: 'Glob patterns to skip, same as excludePatterns' },
+  verbose: { type: 'boolean', default: false, description: 'Show detailed output' },
+  quiet: { type: 'boolean', default: false, description: 'Only show errors and reports (--check, --diff, lint)' },
+  exportHelpers: { type: 'string[]', default: [], description: 'Functions that register an export like exports(name, fn)' },
+  manifests: { type: 'string[]', path: true, default: [], description: 'api.json manifests to generate from instead of scanning' },
+  docsDir: { type: 'string', path: true, description: 'Where to write the documentation site' },
+  docsFormat: { type: 'string', values: ['markdown', 'html', 'both'], default: 'markdown', description: 'Format of the documentation site' },
+  docsSourceUrl: { type: 'string', description: 'Link template for source locations, with {file} and {line}' },
+  workers: { type: 'number', description: 'Worker threads used to parse, 0 parses on the main thread (default: one less than the CPU count)' },
+  cacheFile: { type: 'string', path: true, description: 'Where to cache parse results between runs, keyed by file content hash' }
+};
+
+/**
+ * Commands, given as the first argument that isn't a flag
+ */
+const COMMANDS = ['lint'];
+
+/**
+ * Command line flags, mapped to the config option they set or the command option they control
+ */
+const FLAGS = {
+  '--config': { name: 'config', value: 'required' },
+  '-c': { name: 'config', value: 'required' },
+  '--input': { option: 'inputDirs', value: 'required', repeatable: true },
+  '-i': { option: 'inputDirs', value: 'required', repeatable: true },
+  '--output': { option: 'outputDir', value: 'required' },
+  '-o': { option: 'outputDir', value: 'required' },
+  '--exclude': { option: 'excludePatterns', value: 'required', repeatable: true },
+  '-e': { option: 'excludePatterns', value: 'required', repeatable: true },
+  '--manifest': { option: 'manifests', value: 'required', repeatable: true },
+  '--docs': { option: 'docsDir', value: 'required' },
+  '--verbose': { option: 'verbose' },
+  '-v': { option: 'verbose' },
+  '--quiet': { option: 'quiet' },
+  '-q': { option: 'quiet' },
+  '--watch': { name: 'watch' },
+  '-w': { name: 'watch' },
+  '--check': { name: 'check', value: 'optional' },
+  '--diff': { name: 'diff', value: 'optional' },
+  '--no-cache': { name: 'noCache' },
+  '--format': { name: 'format', value: 'required', values: ['human', 'json', 'sarif'] },
+  '--help': { name: 'help' },
+  '-h': { name: 'help' }
+};
+
+/**
+ * Usage shown by --help
+ */
+export const USAGE = `Usage: fivem-type-gen [lint] [options]
+
+Commands:
+  (none)                  Generate the type definitions
+  lint                    Check the documentation of every export, fails when errors are found
+
+Options:
+  -c, --config <file>     Config file (default: ${CONFIG_FILES.join(', ')} in the current directory)
+  -i, --input <dir>       Directory to scan, repeat for several server roots
+  -o, --output <dir>      Where to write the generated files
+  -e, --exclude <glob>    Pattern to skip, can be repeated
+      --manifest <file>   Generate from an api.json manifest instead of scanning, can be repeated
+      --docs <dir>        Also write the documentation site
+  -w, --watch             Keep watching the inputs and regenerate on changes
+      --check [file]      Compare with the previous api.json (or a snapshot), fail on breaking changes
+      --diff [file]       Like --check, but never fails
+      --no-cache          Parse every file again instead of reusing the parse cache of the output directory
+      --format <format>   Output of lint: human (default), json or sarif
+  -v, --verbose           Show detailed output
+  -q, --quiet             Only show errors and reports (--check, --diff, lint)
+  -h, --help              Show this help
+
+Flags override the options of the config file.`;
+
+/**
+ * A problem with the command line or the configuration, reported to the user without a stack trace
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string} message
+   * @param {Array} [problems] - Individual problems, listed below the message
+   */
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}\n${problems.map(problem => `  - ${problem}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments without the node executable and script, e.g. process.argv.slice(2)
+ * @returns {Object} { command, config, watch, check, diff, noCache, format, help, options }, options holding the config
+ * overrides and check/diff being null when not given, true without a file, or the snapshot path
+ * @throws {ConfigError} On unknown commands, unknown flags or invalid values
+ */
+export function parseArgs(argv) {
+  const result = {
+    command: null, config: null, watch: false, check: null, diff: null, noCache: false, format: 'human', help: false, options: {}
+  };
+
+  for (let index = 0; index < argv.length; index++) {
+    if (!argv[index].startsWith('-')) {
+      if (result.command !== null || !COMMANDS.includes(argv[index])) {
+        throw new ConfigError(`Unknown command "${argv[index]}", see --help`);
+      }
+      result.command = argv[index];
+      continue;
+    }
+
+    const [flag, inlineValue] = argv[index].startsWith('--') && argv[index].includes('=')
+      ? [argv[index].substring(0, argv[index].indexOf('=')), argv[index].substring(argv[index].indexOf('=') + 1)]
+      : [argv[index], undefined];
+    const definition = FLAGS[flag];
+
+    if (!definition) {
+      throw new ConfigError(`Unknown option "${argv[index]}", see --help`);
+    }
+
+    let value = true;
+    if (definition.value) {
+      const next = argv[index + 1];
+
+      if (inlineValue !== undefined) {
+        value = inlineValue;
+      } else if (next !== undefined && !next.startsWith('-')) {
+        value = next;
+        index++;
+      } else if (definition.value === 'required') {
+        throw new ConfigError(`Option ${flag} needs a value, see --help`);
+      }
+    }
+
+    if (definition.values && !definition.values.includes(value)) {
+      throw new ConfigError(`Option ${flag} must be one of ${definition.values.join(', ')}, got "${value}"`);
+    }
+
+    if (definition.name) {
+      result[definition.name] = value;
+    } else if (definition.repeatable) {
+      result.options[definition.option] = [...(result.options[definition.option] || []), value];
+    } else {
+      result.options[definition.option] = value;
+    }
+  }
+
+  // --verbose and --quiet override both options of the config file, quiet winning when both are given
+  if (result.options.quiet) result.options.verbose = false;
+  if (result.options.verbose) result.options.quiet = false;
+
+  return result;
+}
+
+/**
+ * Turn a Lua expression of a config.lua file into a JavaScript value
+ * @param {Object} node - Expression node
+ * @returns {*}
+ * @throws {ConfigError} For anything but literals and tables
+ */
+function luaValue(node) {
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'NumericLiteral':
+      return Number(node.value);
+    case 'NilLiteral':
+      return undefined;
+    case 'UnaryExpression':
+      if (node.operator === '-' && node.argument.type === 'NumericLiteral') return -Number(node.argument.value);
+      break;
+    case 'TableConstructor': {
+      if (node.fields.every(field => field.type === 'TableValue')) {
+        return node.fields.map(field => luaValue(field.value));
+      }
+
+      const object = {};
+      for (const field of node.fields) {
+        if (field.type === 'TableKeyString') {
+          object[field.key.name] = luaValue(field.value);
+        } else if (field.type === 'TableKey' && field.key.type === 'StringLiteral') {
+          object[field.key.value] = luaValue(field.value);
+        } else {
+          throw new ConfigError(`Unsupported table entry on line ${field.line} of the config file`);
+        }
+      }
+      return object;
+    }
+  }
+
+  throw new ConfigError(`Unsupported value on line ${node.line} of the config file, only strings, numbers, booleans and tables are allowed`);
+}
+
+/**
+ * Read a config.lua file, which either returns a table or assigns each option as a global
+ * @param {string} content
+ * @returns {Object}
+ */
+function parseLuaConfig(content) {
+  const config = {};
+
+  for (const statement of parseLua(content).body) {
+    if (statement.type === 'ReturnStatement' && statement.arguments.length === 1) {
+      return luaValue(statement.arguments[0]);
+    }
+
+    if (statement.type === 'AssignmentStatement' && statement.operator === '=') {
+      statement.targets.forEach((target, index) => {
+        if (target.type !== 'Identifier') {
+          throw new ConfigError(`Unsupported assignment on line ${statement.line} of the config file`);
+        }
+        config[target.name] = luaValue(statement.init[index]);
+      });
+      continue;
+    }
+
+    throw new ConfigError(`Unsupported statement on line ${statement.line} of the config file, only option = value and return { ... } are allowed`);
+  }
+
+  return config;
+}
+
+/**
+ * Read a config file, JSON, JavaScript (default export) or Lua
+ * @param {string} configPath
+ * @returns {Promise<Object>}
+ * @throws {ConfigError} When the file can't be read or parsed
+ */
+export async function readConfigFile(configPath) {
+  const extension = path.extname(configPath);
+  let config;
+
+  try {
+    if (extension === '.js' || extension === '.mjs' || extension === '.cjs') {
+      const module = await import(pathToFileURL(path.resolve(configPath)).href);
+      config = module.default ?? module;
+    } else {
+      const content = fs.readFileSync(configPath, 'utf-8');
+      config = extension === '.lua' ? parseLuaConfig(content) : JSON.parse(content);
+    }
+  } catch (error) {
+    throw new ConfigError(`Could not read ${configPath}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`${configPath} must define an object of options`);
+  }
+
+  return config;
+}
+
+/**
+ * Check the options of a config against the schema
+ * @param {Object} config
+ * @returns {Array} Problems found, empty when the config is valid
+ */
+export function validateConfig(config) {
+  const problems = [];
+
+  for (const [key, value] of Object.entries(config)) {
+    const option = CONFIG_SCHEMA[key];
+
+    if (!option) {
+      problems.push(`Unknown option "${key}"`);
+      continue;
+    }
+    if (value === undefined) continue;
+
+    if (option.type === 'string[]') {
+      const values = Array.isArray(value) ? value : [value];
+      if (!values.every(item => typeof item === 'string')) {
+        problems.push(`"${key}" must be a string or a list of strings`);
+      }
+    } else if (typeof value !== option.type) {
+      problems.push(`"${key}" must be a ${option.type}, got ${Array.isArray(value) ? 'a list' : typeof value}`);
+    } else if (option.values && !option.values.includes(value)) {
+      problems.push(`"${key}" must be one of ${option.values.join(', ')}, got "${value}"`);
+    } else if (option.type === 'number' && !(Number.isInteger(value) && value >= 0)) {
+      problems.push(`"${key}" must be a whole number of at least 0, got ${value}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Resolve the relative paths of a config's options against a directory
+ * @param {Object} config
+ * @param {string} baseDir
+ * @returns {Object} A copy of the config
+ */
+function resolvePaths(config, baseDir) {
+  const resolved = { ...config };
+
+  for (const [key, value] of Object.entries(config)) {
+    if (!CONFIG_SCHEMA[key]?.path || value === undefined) continue;
+
+    resolved[key] = Array.isArray(value)
+      ? value.map(item => path.resolve(baseDir, item))
+      : path.resolve(baseDir, value);
+  }
+
+  return resolved;
+}
+
+/**
+ * Build the configuration of a run: the config file (if any) with the command line options on top, validated
+ * Paths of the config file are relative to its directory, paths given as flags to the current directory
+ * @param {Object} args - Parsed arguments, from parseArgs
+ * @param {string} [cwd]
+ * @returns {Promise<Object>} Config with every option set, inputDir folded into inputDirs
+ * @throws {ConfigError} When the config file or the combined options are invalid
+ */
+export async function loadConfig(args, cwd = process.cwd()) {
+  let configPath = args.config ? path.resolve(cwd, args.config) : null;
+
+  if (configPath && !fs.existsSync(configPath)) {
+    throw new ConfigError(`Config file ${configPath} not found`);
+  }
+  if (!configPath) {
+    configPath = CONFIG_FILES.map(name => path.join(cwd, name)).find(file => fs.existsSync(file)) || null;
+  }
+
+  let fileConfig = {};
+  if (configPath) {
+    fileConfig = await readConfigFile(configPath);
+
+    const problems = validateConfig(fileConfig);
+    if (problems.length > 0) {
+      throw new ConfigError(`Invalid configuration in ${configPath}:`, problems);
+    }
+    fileConfig = resolvePaths(fileConfig, path.dirname(configPath));
+  }
+
+  const flagConfig = resolvePaths(args.options, cwd);
+  const merged = { ...fileConfig, ...flagConfig };
+
+  // Flags for the input directories replace both forms of the config file, excludes add to it
+  if (flagConfig.inputDirs) delete merged.inputDir;
+  if (flagConfig.excludePatterns && fileConfig.excludePatterns) {
+    merged.excludePatterns = [...[].concat(fileConfig.excludePatterns), ...flagConfig.excludePatterns];
+  }
+
+  return completeConfig(merged, configPath);
+}
+
+/**
+ * Build the configuration of a run from options given in code, e.g. to the generate function of the API
+ * @param {Object} options - Config options, see CONFIG_SCHEMA
+ * @param {string} [cwd] - Relative paths are relative to it
+ * @returns {Object} Config with every option set, like loadConfig
+ * @throws {ConfigError} When the options are invalid
+ */
+export function createConfig(options, cwd = process.cwd()) {
+  const problems = validateConfig(options);
+  if (problems.length > 0) {
+    throw new ConfigError('Invalid options:', problems);
+  }
+
+  return completeConfig(resolvePaths(options, cwd), null);
+}
+
+/**
+ * Fill in the defaults of the options that aren't set, fold the aliases in and check the inputs exist
+ * @param {Object} options - Validated options with resolved paths
+ * @param {string|null} configPath - Config file the options come from
+ * @returns {Object}
+ * @throws {ConfigError} When there is nothing to scan, or an input doesn't exist
+ */
+function completeConfig(options, configPath) {
+  const config = {};
+  for (const [key, option] of Object.entries(CONFIG_SCHEMA)) {
+    const value = options[key] ?? option.default;
+    config[key] = option.type === 'string[]' && value !== undefined && !Array.isArray(value) ? [value] : value;
+  }
+
+  config.inputDirs = [...new Set([...(config.inputDir ? [config.inputDir] : []), ...config.inputDirs])];
+  config.excludePatterns = [...(config.exclude || []), ...config.excludePatterns];
+  delete config.inputDir;
+  delete config.exclude;
+  config.configPath = configPath;
+
+  const problems = [];
+
+  if (config.manifests.length === 0 && config.inputDirs.length === 0) {
+    problems.push(configPath
+      ? `No input directory, set "inputDirs" in ${path.basename(configPath)} or pass --input`
+      : `No input directory, pass --input or create one of ${CONFIG_FILES.join(', ')}`);
+  }
+
+  for (const dir of config.manifests.length === 0 ? config.inputDirs : []) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      problems.push(`Input directory ${dir} does not exist`);
+    }
+  }
+
+  for (const manifestPath of config.manifests) {
+    if (!fs.existsSync(manifestPath)) {
+      problems.push(`Manifest ${manifestPath} does not exist`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError('Invalid configuration:', problems);
+  }
+
+  return config;
+}
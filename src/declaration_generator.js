@@ -0,0 +1,342 @@
+import { mergeParameters } from './generator.js';
+import { readType } from './annotations.js';
+import { luaToTsType, sanitizeTsType } from './type_conversion.js';
+
+/**
+ * Words that can't be used as a parameter name in a declaration
+ */
+const RESERVED_WORDS = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'enum',
+  'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'new', 'null',
+  'return', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+  'let', 'static', 'implements', 'interface', 'package', 'private', 'protected', 'public', 'await'
+]);
+
+/**
+ * Namespace the declarations of the custom types of every resource go in, one nested namespace per resource,
+ * so resources defining a class of the same name don't merge into one interface
+ */
+const TYPES_NAMESPACE = 'CitizenExportTypes';
+
+/**
+ * Field visibilities that can't be accessed from another resource
+ */
+const HIDDEN_FIELDS = ['private', 'protected', 'package'];
+
+/**
+ * Generates TypeScript declarations of a resource's exports, so JS/TS resources get typed exports.resource.fn(...) calls
+ * Each resource adds itself to the CitizenExports interface, which declaration merging combines across resources
+ */
+export class DeclarationGenerator {
+  constructor(resourceName) {
+    this.resourceName = resourceName;
+    this.exports = [];
+    this.typeDefinitions = [];
+    this.typeNames = new Map(); // Map of custom type name to the qualified name of its declaration
+  }
+
+  /**
+   * Add exports, Lua exports have their types converted to TypeScript
+   * @param {Array} exports
+   */
+  addExports(exports) {
+    this.exports.push(...exports);
+  }
+
+  /**
+   * Add the @class, @alias and @enum definitions the exports use, from TypeGenerator.getReferencedDefinitions
+   * @param {Array} definitions
+   */
+  addTypeDefinitions(definitions) {
+    const namespace = `${TYPES_NAMESPACE}.${this.toIdentifier(this.resourceName)}`;
+
+    for (const definition of definitions) {
+      this.typeDefinitions.push(definition);
+      this.typeNames.set(definition.name, `${namespace}.${this.toIdentifier(definition.name)}`);
+    }
+  }
+
+  /**
+   * Generate the declaration file
+   * @returns {Object} Map of filename to content
+   */
+  generate() {
+    if (this.exports.length === 0) return {};
+
+    const sortedExports = [...this.exports].sort((a, b) => a.name.localeCompare(b.name));
+
+    let content = '// Generated by fivem-lua-type-generator, do not edit\n\n';
+
+    if (this.typeDefinitions.length > 0) {
+      content += this.generateTypeDeclarations() + '\n';
+    }
+
+    content += 'declare interface CitizenExports {\n';
+    content += `  ${JSON.stringify(this.resourceName)}: {\n`;
+
+    for (const exp of sortedExports) {
+      content += this.generateExportDeclaration(exp).replace(/^/gm, '    ') + '\n';
+    }
+
+    content += '  };\n}\n';
+
+    return { 'index.d.ts': content };
+  }
+
+  /**
+   * Generate the declaration of a single export with its JSDoc
+   * @param {Object} exp - Export definition
+   * @returns {string}
+   */
+  generateExportDeclaration(exp) {
+    const docs = exp.documentation;
+    const isLua = exp.language !== 'js';
+    const generics = new Set(docs.generics.map(generic => generic.split(/[\s:,]/)[0]));
+    const convert = type => (isLua ? luaToTsType(type || 'any', generics, this.typeNames) : sanitizeTsType(type || 'any', generics));
+
+    const params = mergeParameters(exp.parameters, docs.params);
+    const lines = [`**\`${exp.context}\`**`];
+
+    for (const line of (exp.description || '').split('\n')) {
+      if (line.trim()) lines.push(line);
+    }
+
+    const paramNames = new Map(params.map((param, index) => [param, this.toParameterName(param.name, index)]));
+
+    for (const param of params) {
+      if (param.description) {
+        lines.push(`@param ${param.name === '...' ? 'args' : paramNames.get(param)} ${param.description.replace(/\n/g, ' ')}`);
+      }
+    }
+
+    const returnDescriptions = docs.returns.map(ret => ret.description).filter(Boolean);
+    if (returnDescriptions.length > 0) {
+      lines.push(`@returns ${returnDescriptions.join(', ')}`);
+    }
+
+    for (const see of docs.see) {
+      lines.push(`@see ${see}`);
+    }
+
+    if (docs.deprecated !== undefined) {
+      lines.push(`@deprecated${docs.deprecated ? ' ' + docs.deprecated : ''}`);
+    }
+
+    // An optional parameter followed by a required one can't use `?`
+    let lastRequired = -1;
+    params.forEach((param, index) => {
+      if (!param.optional && param.name !== '...') lastRequired = index;
+    });
+
+    let signature = params.map((param, index) => {
+      const type = convert(param.type);
+
+      if (param.name === '...') {
+        return `...args: ${/^[\w.]+$/.test(type) ? type : `(${type})`}[]`;
+      }
+      if (param.optional && index > lastRequired) {
+        return `${paramNames.get(param)}?: ${type}`;
+      }
+      if (param.optional) {
+        return `${paramNames.get(param)}: ${type} | undefined`;
+      }
+      return `${paramNames.get(param)}: ${type}`;
+    }).join(', ');
+
+    // The function of an unresolved reference is defined elsewhere, it may take anything
+    if (exp.reference && params.length === 0) signature = '...args: any[]';
+
+    // Without a documented return type, what the function was seen returning (nothing is no proof, e.g. for
+    // exports read from an api.json manifest or defined in another resource)
+    let returns = docs.returns.map(ret => convert(ret.type));
+    if (returns.length === 0) returns = (exp.returnTypes || []).map(convert);
+
+    let returnType = 'any';
+    if (returns.length === 1) returnType = returns[0];
+    if (returns.length > 1) returnType = `[${returns.join(', ')}]`; // Lua multiple returns arrive as an array
+
+    const typeParameters = generics.size === 0 ? '' : isLua
+      ? `<${[...generics].join(', ')}>`
+      : `<${docs.generics.map(generic => sanitizeTsType(generic, generics)).join(', ')}>`;
+
+    let declaration = '/**\n' + lines.map(line => ` * ${line}`).join('\n') + '\n */\n';
+    declaration += `${this.toPropertyName(exp.name)}${typeParameters}(${signature}): ${returnType};`;
+
+    return declaration;
+  }
+
+  /**
+   * Generate the namespace holding the declarations of the custom types
+   * Classes become interfaces (a class declared in several files merges like in LuaLS), aliases and enums type aliases
+   * @returns {string}
+   */
+  generateTypeDeclarations() {
+    const declarations = [];
+    const declared = new Set();
+
+    for (const definition of this.typeDefinitions) {
+      // Interfaces merge, a second alias or enum of the same name would be an error
+      if (definition.kind !== 'class' && declared.has(definition.name)) continue;
+      declared.add(definition.name);
+
+      const declaration = definition.kind === 'class'
+        ? this.generateInterface(definition)
+        : this.generateTypeAlias(definition);
+      declarations.push(declaration.replace(/^/gm, '  '));
+    }
+
+    return `declare namespace ${TYPES_NAMESPACE}.${this.toIdentifier(this.resourceName)} {\n${declarations.join('\n')}\n}\n`;
+  }
+
+  /**
+   * Generate the interface of a @class definition from its @field lines
+   * @param {Object} definition
+   * @returns {string}
+   */
+  generateInterface(definition) {
+    const convert = type => luaToTsType(type, new Set(), this.typeNames);
+    const comment = lines => (lines.length > 0 ? '/**\n' + lines.map(line => ` * ${line}`).join('\n') + '\n */\n' : '');
+
+    let header = '';
+    let description = [];
+    const members = [];
+
+    for (const line of definition.text.split('\n')) {
+      const tag = line.match(/^---\s*@(\w+)\s*(.*)$/);
+
+      if (!tag) {
+        const text = line.replace(/^---?\s?/, '').trim();
+        if (text) description.push(text);
+      } else if (tag[1] === 'class') {
+        // Only parents with a declaration can be extended, `extends any` isn't valid
+        const parents = tag[2].replace(/^(?:\([\w\s,]*\)\s*)?[\w.]+(?:<[^>]*>)?/, '').replace(/^\s*:/, '')
+          .split(',').map(parent => convert(parent.trim())).filter(parent => this.isTypeName(parent));
+
+        header = comment(description) +
+          `interface ${this.toIdentifier(definition.name)}${parents.length > 0 ? ` extends ${parents.join(', ')}` : ''} {`;
+        description = [];
+      } else if (tag[1] === 'field') {
+        const [, visibility, rest] = tag[2].match(/^(?:(private|protected|public|package)\s+)?(.*)$/);
+        const field = this.convertField(rest, convert);
+
+        if (field && !HIDDEN_FIELDS.includes(visibility)) {
+          if (field.description) description.push(field.description);
+          members.push({ ...field, comment: comment(description) });
+        }
+        description = [];
+      } else {
+        description = [];
+      }
+    }
+
+    // Named fields must fit the index signature, so it only keeps its type in a class that is only a map
+    const named = members.some(member => !member.index);
+    const body = members.map(member => {
+      const type = member.index && named ? 'any' : member.type;
+      return `${member.comment}${member.index ? `[${member.index}]` : member.name}: ${type};`.replace(/^/gm, '  ');
+    });
+
+    return body.length > 0 ? `${header}\n${body.join('\n')}\n}` : `${header}}`;
+  }
+
+  /**
+   * Convert the text of a @field line after the visibility
+   * @param {string} text - e.g. `name? string The name` or `[string] number`
+   * @param {Function} convert - Converts a LuaLS type to TypeScript
+   * @returns {Object|null} { name, index, type, description }, index being the index signature of `[type]` fields
+   */
+  convertField(text, convert) {
+    const indexMatch = text.match(/^\[([^\]]*)\]\s*(.*)$/);
+    if (indexMatch) {
+      const { type, rest } = readType(indexMatch[2]);
+
+      // A literal key (["my-key"] or [1]) is a field of its own
+      const literal = indexMatch[1].trim().match(/^(["'])(.*)\1$|^\d+$/);
+      if (literal) {
+        const name = literal[1] ? JSON.stringify(literal[2]) : literal[0];
+        return { name, index: null, type: convert(type || 'any'), description: rest.replace(/^#\s*/, '') };
+      }
+
+      const index = convert(indexMatch[1]) === 'number' ? 'index: number' : 'key: string';
+      return { name: null, index, type: convert(type || 'any'), description: rest.replace(/^#\s*/, '') };
+    }
+
+    const nameMatch = text.match(/^([\w.]+)(\??)\s*(.*)$/);
+    if (!nameMatch) return null;
+
+    const { type, rest } = readType(nameMatch[3]);
+    const name = this.toPropertyName(nameMatch[1]) + (nameMatch[2] || type.endsWith('?') ? '?' : '');
+    return { name, index: null, type: convert(type || 'any'), description: rest.replace(/^#\s*/, '') };
+  }
+
+  /**
+   * Generate the type alias of an @alias definition (the union of its type and ---| variants) or an @enum
+   * (the union of the values of its table, or of its keys with the (key) attribute)
+   * @param {Object} definition
+   * @returns {string}
+   */
+  generateTypeAlias(definition) {
+    const [heading, ...lines] = definition.text.split('\n').filter(line => !/^---\s*[^@|\s]/.test(line) && line.trim() !== '---');
+    const tag = heading.match(/^---\s*@(\w+)\s*(\([\w\s,]*\))?\s*[\w.]+(.*)$/) || [];
+    let types = [];
+
+    if (definition.kind === 'alias') {
+      const type = readType(tag[3] || '').type;
+      const variants = lines.filter(line => /^---\s*\|/.test(line)).map(line => readType(line.replace(/^---\s*\|\s*/, '')).type);
+      types = [type, ...variants].filter(Boolean).map(type => luaToTsType(type, new Set(), this.typeNames));
+    } else {
+      // Key = value entries of the table that follows the annotation
+      const table = lines.join('\n');
+      const body = table.substring(table.indexOf('{') + 1, table.lastIndexOf('}'));
+      const entries = [...body.matchAll(/(?:\[\s*(["'])(.*?)\1\s*\]|([A-Za-z_]\w*))\s*=\s*([^,;\n]+)/g)]
+        .map(match => ({ key: match[2] ?? match[3], value: match[4].trim() }));
+      const isLiteral = value => /^(["'].*["']|-?\d+(\.\d+)?|true|false)$/.test(value);
+
+      types = /\bkey\b/.test(tag[2] || '')
+        ? entries.map(entry => JSON.stringify(entry.key))
+        : entries.map(entry => (isLiteral(entry.value) ? entry.value : 'any'));
+    }
+
+    const union = types.includes('any') || types.length === 0 ? 'any' : [...new Set(types)].join(' | ');
+    return `type ${this.toIdentifier(definition.name)} = ${union};`;
+  }
+
+  /**
+   * Check whether a converted type is a plain name an interface can extend
+   * @param {string} type
+   * @returns {boolean}
+   */
+  isTypeName(type) {
+    return /^[A-Za-z_$][\w$.]*$/.test(type) && type !== 'any' && type !== 'unknown';
+  }
+
+  /**
+   * Turn a resource or type name into a TypeScript identifier, e.g. qb-core becomes qb_core and QBCore.Player QBCore_Player
+   * @param {string} name
+   * @returns {string}
+   */
+  toIdentifier(name) {
+    const identifier = name.replace(/[^\w$]/g, '_');
+    return /^\d/.test(identifier) ? `_${identifier}` : identifier;
+  }
+
+  /**
+   * Make a parameter name usable in TypeScript
+   * @param {string} name
+   * @param {number} index
+   * @returns {string}
+   */
+  toParameterName(name, index) {
+    if (!/^[A-Za-z_$][\w$]*$/.test(name)) return `arg${index + 1}`;
+    return RESERVED_WORDS.has(name) ? `_${name}` : name;
+  }
+
+  /**
+   * Quote an export name that isn't a valid identifier
+   * @param {string} name
+   * @returns {string}
+   */
+  toPropertyName(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+  }
+}
@@ -0,0 +1,421 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Order and titles of the export sections of a resource page
+ */
+const CONTEXTS = [
+  ['client', 'Client'],
+  ['server', 'Server'],
+  ['shared', 'Shared']
+];
+
+/**
+ * State bags that get a page, with the bag names their entries are stored under in the api.json manifest
+ */
+const STATE_PAGES = [
+  { file: 'state/global', title: 'GlobalState', bags: ['global'], access: 'GlobalState.{key}' },
+  { file: 'state/player', title: 'Player state', bags: ['player'], access: 'Player(serverId).state.{key}' },
+  { file: 'state/local-player', title: 'LocalPlayer state', bags: ['localPlayer'], access: 'LocalPlayer.state.{key}' },
+  { file: 'state/entity', title: 'Entity state', bags: ['entity'], access: 'Entity(entity).state.{key}' }
+];
+
+/**
+ * Example values longer than this are cut off
+ */
+const MAX_EXAMPLE_LENGTH = 60;
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Generates a static documentation site from an api.json manifest: an index, one page per resource with its exports,
+ * and one page per state bag with its keys
+ * Pages are built as blocks (headings, paragraphs, tables, code) and rendered to Markdown and/or HTML
+ */
+export class DocsGenerator {
+  /**
+   * @param {Object} manifest - api.json manifest, from ApiManifestBuilder.build
+   * @param {Object} [options]
+   * @param {string} [options.format] - markdown, html or both
+   * @param {string} [options.sourceUrl] - Link template for source locations, with {file} and {line} placeholders
+   * @param {Array} [options.sourceRoots] - Directories source locations can be relative to, linked relatively when there is no sourceUrl
+   * @param {string} [options.outputDir] - Directory the docs are written to, needed for relative source links
+   */
+  constructor(manifest, options = {}) {
+    this.manifest = manifest;
+    this.format = options.format || 'markdown';
+    this.sourceUrl = options.sourceUrl || null;
+    this.sourceRoots = options.sourceRoots || [];
+    this.outputDir = options.outputDir || null;
+  }
+
+  /**
+   * Generate every page
+   * @returns {Object} Map of file path (relative to the docs directory) to content
+   */
+  generate() {
+    const pages = [this.createIndexPage()];
+
+    for (const [name, resource] of Object.entries(this.manifest.resources)) {
+      if (resource.exports.length > 0) {
+        pages.push(this.createResourcePage(name, resource));
+      }
+    }
+
+    for (const statePage of STATE_PAGES) {
+      const keys = this.collectStateKeys(statePage.bags);
+      if (keys.size > 0) {
+        pages.push(this.createStatePage(statePage, keys));
+      }
+    }
+
+    const files = {};
+    for (const page of pages) {
+      if (this.format !== 'html') {
+        files[`${page.file}.md`] = this.renderMarkdown(page);
+      }
+      if (this.format !== 'markdown') {
+        files[`${page.file}.html`] = this.renderHtml(page);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Build the index page, linking every resource and state page
+   * @returns {Object} Page with file, title and blocks
+   */
+  createIndexPage() {
+    const rows = Object.entries(this.manifest.resources)
+      .filter(([, resource]) => resource.exports.length > 0)
+      .map(([name, resource]) => [
+        `[${name}](resources/${name}.md)`,
+        ...CONTEXTS.map(([context]) => String(resource.exports.filter(exp => exp.context === context).length)),
+        String(resource.exports.filter(exp => exp.deprecated !== null).length)
+      ]);
+
+    const blocks = [{ type: 'heading', level: 1, text: 'Server API' }];
+
+    if (rows.length > 0) {
+      blocks.push(
+        { type: 'heading', level: 2, text: 'Resources' },
+        { type: 'table', headers: ['Resource', 'Client', 'Server', 'Shared', 'Deprecated'], rows }
+      );
+    }
+
+    const stateLinks = STATE_PAGES
+      .filter(statePage => this.collectStateKeys(statePage.bags).size > 0)
+      .map(statePage => `[${statePage.title}](${statePage.file}.md)`);
+
+    if (stateLinks.length > 0) {
+      blocks.push({ type: 'heading', level: 2, text: 'State bags' }, { type: 'list', items: stateLinks });
+    }
+
+    return { file: 'index', title: 'Server API', blocks };
+  }
+
+  /**
+   * Build the page of a resource, its exports grouped by context
+   * @param {string} name
+   * @param {Object} resource - Resource entry of the manifest
+   * @returns {Object} Page with file, title and blocks
+   */
+  createResourcePage(name, resource) {
+    const file = `resources/${name}`;
+    const blocks = [
+      { type: 'heading', level: 1, text: name },
+      { type: 'paragraph', text: '[← All resources](../index.md)' }
+    ];
+
+    for (const [context, title] of CONTEXTS) {
+      const exports = resource.exports
+        .filter(exp => exp.context === context)
+        .sort((a, b) => a.name.localeCompare(b.name));
+      if (exports.length === 0) continue;
+
+      blocks.push({ type: 'heading', level: 2, text: `${title} exports` });
+
+      for (const exp of exports) {
+        blocks.push(...this.createExportBlocks(name, exp, file));
+      }
+    }
+
+    return { file, title: name, blocks };
+  }
+
+  /**
+   * Build the blocks documenting one export
+   * @param {string} resourceName
+   * @param {Object} exp - Export entry of the manifest
+   * @param {string} file - Page the blocks go on, for relative source links
+   * @returns {Array}
+   */
+  createExportBlocks(resourceName, exp, file) {
+    const blocks = [{ type: 'heading', level: 3, text: exp.name }];
+
+    if (exp.deprecated !== null) {
+      blocks.push({ type: 'note', text: `**Deprecated**${exp.deprecated ? `: ${exp.deprecated}` : ''}` });
+    }
+
+    if (exp.description) {
+      blocks.push({ type: 'paragraph', text: exp.description });
+    }
+
+    const access = /^[A-Za-z_]\w*$/.test(resourceName) ? `exports.${resourceName}` : `exports['${resourceName}']`;
+    const paramNames = exp.parameters.map(param => param.name).join(', ');
+    blocks.push({ type: 'code', language: 'lua', text: `${access}:${exp.name}(${paramNames})` });
+
+    const flags = ['async', 'nodiscard'].filter(flag => exp[flag]).map(flag => `\`${flag}\``);
+    if (flags.length > 0) {
+      blocks.push({ type: 'paragraph', text: flags.join(' ') });
+    }
+
+    if (exp.parameters.length > 0) {
+      blocks.push({
+        type: 'table',
+        headers: ['Parameter', 'Type', 'Description'],
+        rows: exp.parameters.map(param => [
+          `\`${param.name}${param.optional ? '?' : ''}\``,
+          `\`${param.type}\``,
+          [param.description, ...param.variants.map(variant => this.formatVariant(variant))].filter(Boolean).join(' ')
+        ])
+      });
+    }
+
+    if (exp.returns.length > 0) {
+      blocks.push({
+        type: 'table',
+        headers: ['Returns', 'Description'],
+        rows: exp.returns.map(ret => [`\`${ret.type}\``, ret.description])
+      });
+    }
+
+    if (exp.overloads.length > 0) {
+      blocks.push({ type: 'paragraph', text: 'Overloads:' }, { type: 'list', items: exp.overloads.map(overload => `\`${overload}\``) });
+    }
+
+    if (exp.see.length > 0) {
+      blocks.push({ type: 'paragraph', text: `See: ${exp.see.map(see => `\`${see}\``).join(', ')}` });
+    }
+
+    blocks.push({ type: 'paragraph', text: `Source: ${this.formatSource(exp.source, file)}` });
+    return blocks;
+  }
+
+  /**
+   * Group the state entries of the manifest by key
+   * @param {Array} bags - Bag names to include
+   * @returns {Map} Map of key to { types, contexts, resources, values, writes } of the writes, sorted by key
+   */
+  collectStateKeys(bags) {
+    const keys = new Map();
+
+    for (const [resourceName, resource] of Object.entries(this.manifest.resources)) {
+      for (const state of resource.states) {
+        if (!bags.includes(state.bag) || state.access !== 'write') continue;
+
+        if (!keys.has(state.key)) {
+          keys.set(state.key, { types: new Set(), contexts: new Set(), resources: new Set(), values: [], writes: [] });
+        }
+
+        const entry = keys.get(state.key);
+        entry.types.add(state.type);
+        entry.contexts.add(state.context);
+        entry.resources.add(resourceName);
+        if (state.value && !entry.values.includes(state.value)) entry.values.push(state.value);
+        entry.writes.push(state.source);
+      }
+    }
+
+    return new Map([...keys].sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  /**
+   * Build the page of a state bag, one row per key
+   * @param {Object} statePage - Entry of STATE_PAGES
+   * @param {Map} keys - Keys from collectStateKeys
+   * @returns {Object} Page with file, title and blocks
+   */
+  createStatePage(statePage, keys) {
+    const rows = [...keys].map(([key, entry]) => {
+      let example = entry.values[0] || '';
+      if (example.length > MAX_EXAMPLE_LENGTH) example = example.substring(0, MAX_EXAMPLE_LENGTH) + '…';
+
+      return [
+        `\`${statePage.access.replace('{key}', key)}\``,
+        `\`${[...entry.types].sort().join('|')}\``,
+        [...entry.contexts].sort().join(', '),
+        [...entry.resources].sort().map(name => this.hasResourcePage(name) ? `[${name}](../resources/${name}.md)` : name).join(', '),
+        example ? `\`${example.replace(/\s+/g, ' ')}\`` : '',
+        entry.writes.map(source => this.formatSource(source, statePage.file)).join(', ')
+      ];
+    });
+
+    return {
+      file: statePage.file,
+      title: statePage.title,
+      blocks: [
+        { type: 'heading', level: 1, text: statePage.title },
+        { type: 'paragraph', text: '[← All resources](../index.md)' },
+        { type: 'table', headers: ['Key', 'Type', 'Set on', 'Set by', 'Example', 'Source'], rows }
+      ]
+    };
+  }
+
+  /**
+   * Check whether a resource has a page, which only resources with exports get
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasResourcePage(name) {
+    return this.manifest.resources[name]?.exports.length > 0;
+  }
+
+  /**
+   * Format a `---| value # description` variant line
+   * @param {string} variant
+   * @returns {string}
+   */
+  formatVariant(variant) {
+    const match = variant.match(/^\|\s*(\S+)\s*(?:#\s*(.*))?$/);
+    if (!match) return variant;
+    return match[2] ? `\`${match[1]}\`: ${match[2]}` : `\`${match[1]}\``;
+  }
+
+  /**
+   * Format a source location as a link
+   * Brackets in the label (resource category folders like [core]) are escaped so the link stays valid Markdown
+   * @param {Object} source - { file, line }
+   * @param {string} page - Page the link goes on, without extension
+   * @returns {string}
+   */
+  formatSource(source, page) {
+    const label = `${source.file}:${source.line}`.replace(/[[\]]/g, '\\$&');
+
+    if (this.sourceUrl) {
+      return `[${label}](${this.sourceUrl.replace('{file}', source.file).replace('{line}', source.line)})`;
+    }
+
+    // With several input directories, the location is relative to the one that has the file
+    const sourceRoot = this.sourceRoots.find(root => fs.existsSync(path.join(root, source.file)));
+
+    if (sourceRoot && this.outputDir) {
+      const pageDir = path.dirname(path.join(this.outputDir, page));
+      const target = path.relative(pageDir, path.join(sourceRoot, source.file)).split(path.sep).join('/');
+      return `[${label}](${encodeURI(target)}#L${source.line})`;
+    }
+
+    return `\`${source.file}:${source.line}\``;
+  }
+
+  /**
+   * Render a page as Markdown
+   * @param {Object} page
+   * @returns {string}
+   */
+  renderMarkdown(page) {
+    const parts = page.blocks.map(block => {
+      switch (block.type) {
+        case 'heading':
+          return `${'#'.repeat(block.level)} ${block.text}`;
+        case 'note':
+          return `> ${block.text}`;
+        case 'code':
+          return '```' + block.language + '\n' + block.text + '\n```';
+        case 'list':
+          return block.items.map(item => `- ${item}`).join('\n');
+        case 'table': {
+          const row = cells => `| ${cells.map(cell => cell.replace(/\|/g, '\\|').replace(/\n/g, ' ')).join(' | ')} |`;
+          return [row(block.headers), row(block.headers.map(() => '---')), ...block.rows.map(row)].join('\n');
+        }
+        default:
+          return block.text;
+      }
+    });
+
+    return parts.join('\n\n') + '\n';
+  }
+
+  /**
+   * Render a page as a standalone HTML document
+   * @param {Object} page
+   * @returns {string}
+   */
+  renderHtml(page) {
+    const body = page.blocks.map(block => {
+      switch (block.type) {
+        case 'heading':
+          return `<h${block.level}>${this.renderInlineHtml(block.text)}</h${block.level}>`;
+        case 'note':
+          return `<blockquote>${this.renderInlineHtml(block.text)}</blockquote>`;
+        case 'code':
+          return `<pre><code class="language-${block.language}">${escapeHtml(block.text)}</code></pre>`;
+        case 'list':
+          return `<ul>\n${block.items.map(item => `  <li>${this.renderInlineHtml(item)}</li>`).join('\n')}\n</ul>`;
+        case 'table':
+          return [
+            '<table>',
+            `  <thead><tr>${block.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>`,
+            '  <tbody>',
+            ...block.rows.map(row => `    <tr>${row.map(cell => `<td>${this.renderInlineHtml(cell)}</td>`).join('')}</tr>`),
+            '  </tbody>',
+            '</table>'
+          ].join('\n');
+        default:
+          return `<p>${this.renderInlineHtml(block.text)}</p>`;
+      }
+    });
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${escapeHtml(page.title)}</title>`,
+      '<style>',
+      'body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }',
+      'code, pre { font-family: ui-monospace, monospace; background: #f4f4f4; border-radius: 4px; }',
+      'code { padding: 0 .25rem; } pre { padding: .75rem; overflow-x: auto; }',
+      'table { border-collapse: collapse; width: 100%; } th, td { border: 1px solid #ddd; padding: .35rem .5rem; text-align: left; vertical-align: top; }',
+      'blockquote { margin: 0; padding: .5rem 1rem; border-left: 4px solid #d9822b; background: #fff6ec; }',
+      'h3 { margin-top: 2rem; }',
+      '</style>',
+      '</head>',
+      '<body>',
+      ...body,
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Render the inline Markdown the pages use (`code`, **bold** and [links](target)) as HTML
+   * Links to other pages point to their .html version, and escaped brackets in link labels are unescaped
+   * @param {string} text
+   * @returns {string}
+   */
+  renderInlineHtml(text) {
+    return text.split(/(`[^`]*`)/).map(part => {
+      if (part.startsWith('`') && part.endsWith('`') && part.length > 1) {
+        return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+      }
+
+      return escapeHtml(part)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\[((?:\\.|[^\]\\])+)\]\(([^)]+)\)/g, (match, label, href) => {
+          const target = /^[a-z]+:/i.test(href) ? href : href.replace(/\.md(#|$)/, '.html$1');
+          return `<a href="${target}">${label.replace(/\\([[\]])/g, '$1')}</a>`;
+        })
+        .replace(/\n/g, '<br>');
+    }).join('');
+  }
+}
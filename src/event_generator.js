@@ -0,0 +1,210 @@
+import { mergeParameters } from './generator.js';
+
+/**
+ * Trigger functions to generate overloads for
+ * `contexts` are the contexts an event must be registered in to be triggered by the function,
+ * `leading` are the parameters that come between the event name and the payload
+ */
+const TRIGGERS = [
+  {
+    name: 'TriggerServerEvent',
+    description: 'Trigger a net event registered on the server',
+    netOnly: true,
+    contexts: ['server', 'shared'],
+    leading: []
+  },
+  {
+    name: 'TriggerLatentServerEvent',
+    description: 'Trigger a net event registered on the server, sent in the background at a limited bandwidth',
+    netOnly: true,
+    contexts: ['server', 'shared'],
+    leading: [{ name: 'bps', type: 'number' }]
+  },
+  {
+    name: 'TriggerClientEvent',
+    description: 'Trigger a net event registered on the client, -1 as playerId triggers it for every player',
+    netOnly: true,
+    contexts: ['client', 'shared'],
+    leading: [{ name: 'playerId', type: 'number|string' }]
+  },
+  {
+    name: 'TriggerLatentClientEvent',
+    description: 'Trigger a net event registered on the client, sent in the background at a limited bandwidth',
+    netOnly: true,
+    contexts: ['client', 'shared'],
+    leading: [{ name: 'playerId', type: 'number|string' }, { name: 'bps', type: 'number' }]
+  },
+  {
+    name: 'TriggerEvent',
+    description: 'Trigger an event registered in the same context (client or server)',
+    netOnly: false,
+    contexts: ['client', 'server', 'shared'],
+    leading: []
+  }
+];
+
+/**
+ * Generates typed overloads of the event trigger functions from RegisterNetEvent and AddEventHandler registrations
+ */
+export class EventGenerator {
+  constructor() {
+    this.events = new Map(); // Map of context and event name to event info
+  }
+
+  /**
+   * Add event registrations from a resource
+   * @param {Array} events - Array of event definitions
+   * @param {string} resourceName - Name of the resource
+   */
+  addEvents(events, resourceName) {
+    for (const event of events) {
+      const key = `${event.context}:${event.name}`;
+      const existing = this.events.get(key);
+
+      if (existing) {
+        if (!existing.resources.includes(resourceName)) {
+          existing.resources.push(resourceName);
+        }
+
+        // RegisterNetEvent('name') followed by AddEventHandler('name', handler) is still a net event
+        existing.net = existing.net || event.net;
+
+        // The first registration with a handler provides the payload parameters
+        if (!existing.hasHandler && event.hasHandler) {
+          existing.hasHandler = true;
+          existing.parameters = event.parameters;
+          existing.documentation = event.documentation;
+        }
+      } else {
+        this.events.set(key, {
+          name: event.name,
+          net: event.net,
+          context: event.context,
+          hasHandler: event.hasHandler,
+          parameters: event.parameters,
+          documentation: event.documentation,
+          resources: [resourceName]
+        });
+      }
+    }
+  }
+
+  /**
+   * Generate the event type definition file
+   * @returns {Object} Map of filename to content
+   */
+  generate() {
+    const files = {};
+
+    if (this.events.size === 0) {
+      return files;
+    }
+
+    files['events.lua'] = this.generateEventFile();
+
+    return files;
+  }
+
+  /**
+   * Generate the overloads of every trigger function that can reach at least one registered event
+   * @returns {string}
+   */
+  generateEventFile() {
+    let content = '---@meta\n\n';
+
+    for (const trigger of TRIGGERS) {
+      const events = this.getEventsFor(trigger);
+      if (events.length > 0) {
+        content += this.generateTrigger(trigger, events);
+        content += '\n\n';
+      }
+    }
+
+    return content.trim() + '\n';
+  }
+
+  /**
+   * Get the events a trigger function can reach, one per event name
+   * @param {Object} trigger - Entry of TRIGGERS
+   * @returns {Array}
+   */
+  getEventsFor(trigger) {
+    const byName = new Map();
+
+    for (const event of this.events.values()) {
+      if (trigger.netOnly && !event.net) continue;
+      if (!trigger.contexts.includes(event.context)) continue;
+
+      // Prefer the registration that documents its payload when several contexts register the same name
+      const existing = byName.get(event.name);
+      if (!existing || (!existing.hasHandler && event.hasHandler)) {
+        byName.set(event.name, event);
+      }
+    }
+
+    return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Generate a trigger function with an overload per event
+   * @param {Object} trigger - Entry of TRIGGERS
+   * @param {Array} events - Events the trigger can reach
+   * @returns {string}
+   */
+  generateTrigger(trigger, events) {
+    let def = `---${trigger.description}\n`;
+    def += '---@param eventName string\n';
+
+    for (const param of trigger.leading) {
+      def += `---@param ${param.name} ${param.type}\n`;
+    }
+
+    def += '---@param ... any\n';
+
+    for (const event of events) {
+      def += `---@overload ${this.generateOverload(trigger, event)}\n`;
+    }
+
+    const paramNames = ['eventName', ...trigger.leading.map(p => p.name), '...'].join(', ');
+    def += `function ${trigger.name}(${paramNames}) end`;
+
+    return def;
+  }
+
+  /**
+   * Generate the fun() type of a single event overload
+   * @param {Object} trigger - Entry of TRIGGERS
+   * @param {Object} event - Event info
+   * @returns {string}
+   */
+  generateOverload(trigger, event) {
+    const params = [`eventName: ${this.quote(event.name)}`];
+
+    for (const param of trigger.leading) {
+      params.push(`${param.name}: ${param.type}`);
+    }
+
+    for (const param of mergeParameters(event.parameters, event.documentation.params)) {
+      params.push(`${param.name}${param.optional ? '?' : ''}: ${param.type}`);
+    }
+
+    return `fun(${params.join(', ')})`;
+  }
+
+  /**
+   * Quote an event name as a string literal type
+   * @param {string} name
+   * @returns {string}
+   */
+  quote(name) {
+    return `'${name.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+
+  /**
+   * Get count of unique events found
+   * @returns {number}
+   */
+  getCount() {
+    return this.events.size;
+  }
+}
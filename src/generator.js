@@ -1,3 +1,51 @@
+import { collectTypeNames } from './annotations.js';
+import { tsToLuaType } from './type_conversion.js';
+
+/**
+ * Merge function parameters with their documentation
+ * Combines information from both sources, preferring documented types
+ * @param {Array} funcParams - Parameters from function signature
+ * @param {Array} docParams - Parameters from documentation
+ * @returns {Array} Merged parameter definitions
+ */
+export function mergeParameters(funcParams, docParams) {
+  const merged = [];
+
+  // Create a map of documented parameters
+  const docMap = new Map();
+  for (const docParam of docParams) {
+    docMap.set(docParam.name, docParam);
+  }
+
+  // Merge with function parameters
+  for (const funcParam of funcParams) {
+    const doc = docMap.get(funcParam.name);
+
+    merged.push({
+      name: funcParam.name,
+      type: doc?.type || funcParam.type || 'any',
+      description: doc?.description || '',
+      optional: doc?.optional || funcParam.optional || false,
+      variants: doc?.variants || []
+    });
+  }
+
+  // Add any documented parameters not in function signature
+  for (const docParam of docParams) {
+    if (!funcParams.find(p => p.name === docParam.name)) {
+      merged.push({
+        name: docParam.name,
+        type: docParam.type,
+        description: docParam.description,
+        optional: docParam.optional || false,
+        variants: docParam.variants || []
+      });
+    }
+  }
+
+  return merged;
+}
+
 /**
  * Generates Lua type definition files from parsed exports
  */
@@ -7,6 +55,7 @@ export class TypeGenerator {
     this.clientExports = [];
     this.serverExports = [];
     this.sharedExports = [];
+    this.typeDefinitions = new Map(); // Map of type name to the definitions declaring it
   }
 
   /**
@@ -26,6 +75,90 @@ export class TypeGenerator {
     }
   }
 
+  /**
+   * Get every export added, in the order they were added
+   * @returns {Array}
+   */
+  getExports() {
+    return [...this.clientExports, ...this.serverExports, ...this.sharedExports];
+  }
+
+  /**
+   * Merge function parameters with their documentation
+   * Kept for code that used the method, the shared helper is now the mergeParameters export of this module
+   * @deprecated Use mergeParameters
+   * @param {Array} funcParams - Parameters from function signature
+   * @param {Array} docParams - Parameters from documentation
+   * @returns {Array} Merged parameter definitions
+   */
+  mergeParameters(funcParams, docParams) {
+    return mergeParameters(funcParams, docParams);
+  }
+
+  /**
+   * Convert the TypeScript types of an export from a JS/TS file to Lua types
+   * @param {Object} exp
+   * @returns {Object} A copy of the export, or the export itself when it comes from a Lua file
+   */
+  toLuaExport(exp) {
+    if (exp.language !== 'js') return exp;
+
+    const docs = exp.documentation;
+
+    return {
+      ...exp,
+      parameters: exp.parameters.map(param => ({ ...param, type: tsToLuaType(param.type || 'any') })),
+      documentation: {
+        ...docs,
+        params: docs.params.map(param => ({ ...param, type: param.type && tsToLuaType(param.type) })),
+        // Async exports are marked @async, their return type is the value the promise resolves to
+        returns: docs.returns.map(ret => ({ ...ret, type: tsToLuaType(ret.type.replace(/^Promise<(.*)>$/, '$1')) })),
+        generics: []
+      }
+    };
+  }
+
+  /**
+   * Add the @class, @alias and @enum definitions of a file
+   * @param {Array} definitions
+   */
+  addTypeDefinitions(definitions) {
+    for (const definition of definitions) {
+      if (!this.typeDefinitions.has(definition.name)) {
+        this.typeDefinitions.set(definition.name, []);
+      }
+      this.typeDefinitions.get(definition.name).push(definition);
+    }
+  }
+
+  /**
+   * Get the type definitions the exports use, directly or through other definitions
+   * @returns {Array} Definitions sorted by name
+   */
+  getReferencedDefinitions() {
+    const queue = [];
+
+    for (const exp of this.getExports().map(exp => this.toLuaExport(exp))) {
+      const params = mergeParameters(exp.parameters, exp.documentation.params);
+      for (const type of [...params.map(p => p.type), ...exp.documentation.returns.map(ret => ret.type), ...exp.documentation.overloads]) {
+        queue.push(...collectTypeNames(type));
+      }
+    }
+
+    const used = new Set();
+    while (queue.length > 0) {
+      const name = queue.shift();
+      if (used.has(name) || !this.typeDefinitions.has(name)) continue;
+
+      used.add(name);
+      for (const definition of this.typeDefinitions.get(name)) {
+        queue.push(...definition.references);
+      }
+    }
+
+    return [...used].sort().flatMap(name => this.typeDefinitions.get(name));
+  }
+
   /**
    * Generate all type definition files
    * @returns {Object} Map of filename to content
@@ -44,6 +177,12 @@ export class TypeGenerator {
       files['server.lua'] = this.generateTypeFile(this.serverExports, 'server');
     }
 
+    // The resource itself isn't in the workspace library, so the types its exports use are copied along
+    const definitions = this.getReferencedDefinitions();
+    if (definitions.length > 0) {
+      files['shared.lua'] += '\n' + definitions.map(definition => definition.text).join('\n\n') + '\n';
+    }
+
     // If there are actual shared context exports, append them to shared.lua
     if (this.sharedExports.length > 0) {
       files['shared.lua'] += '\n' + this.generateTypeFile(this.sharedExports, 'shared');
@@ -96,6 +235,7 @@ export class TypeGenerator {
    * @returns {string} Generated Lua type definition for the export
    */
   generateExportDefinition(exp, context) {
+    exp = this.toLuaExport(exp);
     let def = '';
 
     // Add context marker (client/server/shared)
@@ -113,31 +253,43 @@ export class TypeGenerator {
       def += `---This export doesn't have a description\n`;
     }
 
+    const docs = exp.documentation;
+
+    for (const generic of docs.generics) {
+      def += `---@generic ${generic}\n`;
+    }
+
     // Merge documentation params with function params
-    const params = this.mergeParameters(exp.parameters, exp.documentation.params);
+    const params = mergeParameters(exp.parameters, docs.params);
 
     // Loop through parameters to add
     for (const param of params) {
-      def += `---@param ${param.name} ${param.type}`;
-      if (param.description) {
-        def += ` ${param.description}`;
-      }
-      def += '\n';
+      def += this.generateTag(`@param ${param.name}${param.optional ? '?' : ''} ${param.type}`, param);
     }
 
     // return type documentation
-    if (exp.documentation.returns.length > 0) {
-      for (const ret of exp.documentation.returns) {
-        def += `---@return ${ret.type}`;
-        if (ret.description) {
-          def += ` ${ret.description}`;
-        }
-        def += '\n';
-      }
+    for (const ret of docs.returns) {
+      def += this.generateTag(`@return ${ret.type}`, ret);
     }
 
-    if (exp.documentation.deprecated) {
-      def += `---@deprecated ${exp.documentation.deprecated}\n`;
+    for (const overload of docs.overloads) {
+      def += `---@overload ${overload}\n`;
+    }
+
+    if (docs.nodiscard) {
+      def += '---@nodiscard\n';
+    }
+
+    if (docs.async) {
+      def += '---@async\n';
+    }
+
+    for (const see of docs.see) {
+      def += `---@see ${see}\n`;
+    }
+
+    if (docs.deprecated !== undefined) {
+      def += `---@deprecated${docs.deprecated ? ' ' + docs.deprecated : ''}\n`;
     }
 
     // Generate function signature
@@ -154,44 +306,20 @@ export class TypeGenerator {
   }
 
   /**
-   * Merge function parameters with their documentation
-   * Combines information from both sources, preferring documented types
-   * @param {Array} funcParams - Parameters from function signature
-   * @param {Array} docParams - Parameters from documentation
-   * @returns {Array} Merged parameter definitions
+   * Generate a @param or @return tag, its description can span several lines and be followed by `---|` variants
+   * @param {string} tag - The tag with its name and type, e.g. `@param name? string`
+   * @param {Object} entry - Parameter or return with description and variants
+   * @returns {string}
    */
-  mergeParameters(funcParams, docParams) {
-    const merged = [];
-
-    // Create a map of documented parameters
-    const docMap = new Map();
-    for (const docParam of docParams) {
-      docMap.set(docParam.name, docParam);
-    }
-
-    // Merge with function parameters
-    for (const funcParam of funcParams) {
-      const doc = docMap.get(funcParam.name);
-
-      merged.push({
-        name: funcParam.name,
-        type: doc?.type || funcParam.type || 'any',
-        description: doc?.description || ''
-      });
-    }
+  generateTag(tag, entry) {
+    const [firstLine, ...moreLines] = (entry.description || '').split('\n');
+    let def = `---${tag}${firstLine ? ' ' + firstLine : ''}\n`;
 
-    // Add any documented parameters not in function signature
-    for (const docParam of docParams) {
-      if (!funcParams.find(p => p.name === docParam.name)) {
-        merged.push({
-          name: docParam.name,
-          type: docParam.type,
-          description: docParam.description
-        });
-      }
+    for (const line of [...moreLines, ...(entry.variants || [])]) {
+      def += `---${line}\n`;
     }
 
-    return merged;
+    return def;
   }
 
   /**
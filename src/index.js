@@ -1,251 +1,284 @@
+#!/usr/bin/env node
 import fs from 'fs';
 import path from 'path';
-import { glob } from 'glob';
-import { LuaParser } from './parser.js';
-import { TypeGenerator } from './generator.js';
-import { StateBagGenerator } from './state_generator.js';
-
-const CONFIG_FILE = 'config.json';
+import { generate } from './api.js';
+import { Watcher } from './watcher.js';
+import { API_MANIFEST_FILE } from './api_manifest.js';
+import { OutputWriter } from './output.js';
+import { PARSE_CACHE_FILE } from './parse_cache.js';
+import { diffApiManifests, formatApiDiff } from './api_diff.js';
+import { formatLintResults, countDiagnostics } from './linter.js';
+import { formatStateConflicts } from './state_generator.js';
+import { parseArgs, loadConfig, ConfigError, USAGE } from './config.js';
+import { logger } from './logger.js';
 
 /**
- * Load configuration from file
- * @returns {Object} Parsed configuration object
+ * Compare the current API with a previous api.json and report the changes
+ * @param {Workspace} workspace
+ * @param {string} snapshotPath - The api.json to compare with
+ * @returns {boolean} Whether any change is breaking
+ * @throws {ConfigError} When the snapshot can't be read
  */
-function loadConfig() {
-  const configPath = path.join(process.cwd(), CONFIG_FILE);
-
-  if (!fs.existsSync(configPath)) {
-    console.error(`❌ Error: ${CONFIG_FILE} not found in current directory`);
-    process.exit(1);
-  }
-
+function reportApiDiff(workspace, snapshotPath) {
+  let previous;
   try {
-    const configContent = fs.readFileSync(configPath, 'utf-8');
-    const userConfig = JSON.parse(configContent);
-    return userConfig;
+    previous = JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
   } catch (error) {
-    console.error(`❌ Error: Could not parse ${CONFIG_FILE}`);
-    console.error(error.message);
-    process.exit(1);
+    throw new ConfigError(`Could not read ${snapshotPath}, run once without --check/--diff or pass a saved api.json (${error.message})`);
   }
+
+  const changes = diffApiManifests(previous, workspace.createApiManifestBuilder().build());
+
+  // The report is the output of the run, so it is printed even with --quiet
+  logger.info('');
+  process.stdout.write(`🔍 API changes since ${snapshotPath}:\n${formatApiDiff(changes)}`);
+
+  return changes.some(change => change.breaking);
 }
 
 /**
- * Find Lua files based on configuration
- * @param {Object} config - Configuration object
- * @returns {Promise<Array>} Array of file paths
+ * Log how many source files were scanned
+ * @param {Array} results - Parse results of the run
  */
-async function findLuaFiles(config) {
-  const { inputDir, excludePatterns } = config;
-
-  if (config.verbose) {
-    console.log('Exclude patterns:', excludePatterns);
-  }
-
-  const files = await glob('**/*.lua', {
-    cwd: inputDir,
-    ignore: excludePatterns,
-    absolute: false
-  });
+function reportSourceCount(results) {
+  logger.info(`📁 Found ${results.length} source file${results.length === 1 ? '' : 's'} to parse`);
+}
 
-  if (config.verbose) {
-    console.log(`Found ${files.length} files before filtering`);
+/**
+ * Log the manifests that couldn't be parsed
+ * @param {import('./manifest.js').ManifestIndex} manifests
+ */
+function reportManifestErrors(manifests) {
+  for (const error of manifests.errors) {
+    logger.error(`  ✗ Error parsing ${error.filePath}:`, error.message, '(script contexts are guessed from the paths)');
   }
-
-  return files.map(file => path.join(inputDir, file));
 }
 
 /**
- * Detect resource name from file path by looking for fxmanifest.lua
- * @param {string} filePath - Full path to the file
- * @param {string} inputDir - Base input directory
- * @returns {string} Detected resource name
+ * Check the documentation of every export and the types of every state key, and print the report
+ * @param {Object} options - Options of the run, see generate
+ * @param {string} format - human, json or sarif
+ * @returns {Promise<number>} Exit code, 1 when errors were found
+ * @throws {ConfigError} When the config only lists api.json manifests
  */
-function detectResourceName(filePath, inputDir) {
-  let currentDir = path.dirname(filePath);
-  const inputDirResolved = path.resolve(inputDir);
-
-  // Walk up the directory tree looking for fxmanifest.lua
-  while (currentDir.startsWith(inputDirResolved)) {
-    const manifestPath = path.join(currentDir, 'fxmanifest.lua');
-
-    if (fs.existsSync(manifestPath)) {
-      // Found fxmanifest.lua, use the directory name as resource name
-      return path.basename(currentDir);
-    }
-
-    const parentDir = path.dirname(currentDir);
-    if (parentDir === currentDir) break; // Reached root
-    currentDir = parentDir;
+async function runLint(options, format) {
+  if (options.manifests.length > 0) {
+    throw new ConfigError('lint checks the sources, it can\'t run on api.json manifests');
   }
 
-  // Fallback: use the first directory under inputDir
-  const relativePath = path.relative(inputDirResolved, filePath);
-  const parts = relativePath.split(path.sep);
+  const { results, diagnostics } = await generate(options);
+  reportSourceCount(results);
 
-  // Skip bracket folders like [qb], [standalone]
-  for (const part of parts) {
-    if (part && !part.startsWith('[')) {
-      return part;
-    }
-  }
+  logger.info('\n🔍 Linting exports and state keys...\n');
+
+  // The report is the output of the command, it is shown even with --quiet
+  process.stdout.write(formatLintResults(diagnostics, format));
 
-  return 'unknown_resource';
+  return countDiagnostics(diagnostics).errors > 0 ? 1 : 0;
 }
 
 /**
  * Main execution function
+ * @param {Array} argv - Command line arguments, without the node executable and script
+ * @returns {Promise<number>} Exit code
  */
-async function main() {
-  console.log('🚀 FiveM Lua Type Generator by @ihyajb\n');
+async function main(argv) {
+  const args = parseArgs(argv);
+
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
 
-  const config = loadConfig();
+  const config = await loadConfig(args);
 
-  console.log(`Input Directory: ${config.inputDir}`);
-  console.log(`Output Directory: ${config.outputDir}\n`);
+  // JSON and SARIF reports are the only output, so they can be piped into other tools
+  logger.configure(args.command === 'lint' && args.format !== 'human' ? { ...config, quiet: true } : config);
 
-  // Find all Lua files
-  const luaFiles = await findLuaFiles(config);
+  logger.info('🚀 FiveM Lua Type Generator by @ihyajb\n');
 
-  if (luaFiles.length === 0) {
-    console.log('❌ No Lua files found');
-    return;
+  const fromManifests = config.manifests.length > 0;
+  const compareMode = args.check !== null || args.diff !== null;
+  const watchMode = args.watch && !fromManifests && !compareMode;
+
+  if (config.configPath) {
+    logger.debug(`Config: ${config.configPath}`);
+  }
+  if (fromManifests) {
+    logger.info(`API Manifests: ${config.manifests.join(', ')}`);
+  } else {
+    logger.info(`Input Director${config.inputDirs.length === 1 ? 'y' : 'ies'}: ${config.inputDirs.join(', ')}`);
   }
 
-  console.log(`📁 Found ${luaFiles.length} Lua file${luaFiles.length === 1 ? '' : 's'} to parse`);
+  // The options of the config file and the flags, already validated and resolved
+  const { configPath, ...options } = config;
 
-  const parser = new LuaParser();
+  if (args.command === 'lint') {
+    return runLint(options, args.format);
+  }
 
-  // Map to store type generators per resource
-  const resourceGenerators = new Map();
+  logger.info(`Output Directory: ${config.outputDir}\n`);
 
-  // State bag generator for all resources (GlobalState, Player.state, LocalPlayer.state)
-  const stateBagGenerator = new StateBagGenerator();
+  // Repeat runs only parse the files that changed since the last one
+  // --check and --diff write nothing to the output directory, not even the cache
+  if (!fromManifests && !compareMode && !args.noCache && !options.cacheFile) {
+    options.cacheFile = path.join(config.outputDir, PARSE_CACHE_FILE);
+  }
+
+  const { files, docs, results, workspace } = await generate(options);
+
+  if (!fromManifests) {
+    if (results.length === 0 && !watchMode) {
+      logger.info('❌ No Lua, JavaScript or TypeScript files found');
+      return 0;
+    }
+
+    logger.debug('Exclude patterns:', config.excludePatterns);
+    reportSourceCount(results);
+    reportManifestErrors(workspace.manifests);
+  }
 
   let totalExports = 0;
   let totalGlobalStates = 0;
   let totalPlayerStates = 0;
   let totalLocalPlayerStates = 0;
+  let totalEntityStates = 0;
+  let totalEvents = 0;
+  let totalCallbacks = 0;
 
-  // Parse each file
-  for (const filePath of luaFiles) {
-    if (config.verbose) {
-      console.log(`Processing: ${filePath}`);
+  for (const result of results) {
+    logger.debug(`Processing: ${result.filePath}`);
+
+    if (result.error) {
+      logger.error(`  ✗ Error parsing ${result.filePath}:`, result.error.message);
+      continue;
     }
 
-    try {
-      const content = fs.readFileSync(filePath, 'utf-8');
-      const exports = parser.parse(content, filePath);
-      const globalStates = parser.parseGlobalStates(content, filePath);
-      const playerStatesResult = parser.parsePlayerStates(content, filePath);
-
-      if (exports.length > 0) {
-        // Detect resource name for this file
-        const resourceName = detectResourceName(filePath, config.inputDir);
-
-        // Get or create type generator for this resource
-        if (!resourceGenerators.has(resourceName)) {
-          resourceGenerators.set(resourceName, new TypeGenerator(resourceName));
-        }
-
-        const generator = resourceGenerators.get(resourceName);
-
-        if (config.verbose) {
-          console.log(`✓ Found ${exports.length} export${exports.length === 1 ? '' : 's'}`);
-        }
-        generator.addExports(exports, filePath);
-        totalExports += exports.length;
-      }
-
-      if (globalStates.length > 0) {
-        const resourceName = detectResourceName(filePath, config.inputDir);
-        stateBagGenerator.addGlobalStates(globalStates, resourceName);
-        totalGlobalStates += globalStates.length;
-
-        if (config.verbose) {
-          console.log(`✓ Found ${globalStates.length} GlobalState${globalStates.length === 1 ? '' : 's'}`);
-        }
-      }
-
-      if (playerStatesResult.playerStates.length > 0) {
-        const resourceName = detectResourceName(filePath, config.inputDir);
-        stateBagGenerator.addPlayerStates(playerStatesResult.playerStates, resourceName);
-        totalPlayerStates += playerStatesResult.playerStates.length;
-
-        if (config.verbose) {
-          console.log(`✓ Found ${playerStatesResult.playerStates.length} Player state${playerStatesResult.playerStates.length === 1 ? '' : 's'}`);
-        }
-      }
-
-      if (playerStatesResult.localPlayerStates.length > 0) {
-        const resourceName = detectResourceName(filePath, config.inputDir);
-        stateBagGenerator.addLocalPlayerStates(playerStatesResult.localPlayerStates, resourceName);
-        totalLocalPlayerStates += playerStatesResult.localPlayerStates.length;
-
-        if (config.verbose) {
-          console.log(`✓ Found ${playerStatesResult.localPlayerStates.length} LocalPlayer state${playerStatesResult.localPlayerStates.length === 1 ? '' : 's'}`);
-        }
-      }
-    } catch (error) {
-      console.error(`  ✗ Error parsing ${filePath}:`, error.message);
+    if (result.exports.length > 0) {
+      logger.debug(`✓ Found ${result.exports.length} export${result.exports.length === 1 ? '' : 's'}`);
+      totalExports += result.exports.length;
     }
-  }
 
-  console.log(`📊 Found ${totalExports} exports to document`);
-  console.log(`🌐 Found ${totalGlobalStates} GlobalState assignments (${stateBagGenerator.getCount()} unique)`);
-  console.log(`👤 Found ${totalPlayerStates + totalLocalPlayerStates} Player/LocalPlayer state assignments (${stateBagGenerator.getPlayerStateCount() + stateBagGenerator.getLocalPlayerStateCount()} unique)`);
+    if (result.globalStates.length > 0) {
+      totalGlobalStates += result.globalStates.length;
 
-  if (totalExports === 0 && stateBagGenerator.getTotalCount() === 0) {
-    console.log('❌ No exports or states found in Lua files');
-    return;
-  }
+      logger.debug(`✓ Found ${result.globalStates.length} GlobalState${result.globalStates.length === 1 ? '' : 's'}`);
+    }
+
+    if (result.playerStates.length > 0) {
+      totalPlayerStates += result.playerStates.length;
+
+      logger.debug(`✓ Found ${result.playerStates.length} Player state${result.playerStates.length === 1 ? '' : 's'}`);
+    }
+
+    if (result.localPlayerStates.length > 0) {
+      totalLocalPlayerStates += result.localPlayerStates.length;
 
-  // Generate type files for each resource
-  console.log(`📝 Generating type definitions for ${resourceGenerators.size} resource${resourceGenerators.size === 1 ? '' : 's'}...`);
+      logger.debug(`✓ Found ${result.localPlayerStates.length} LocalPlayer state${result.localPlayerStates.length === 1 ? '' : 's'}`);
+    }
 
-  for (const [resourceName, generator] of resourceGenerators) {
-    const outputDir = path.join(config.outputDir, resourceName);
+    if (result.entityStates.length > 0) {
+      totalEntityStates += result.entityStates.length;
 
-    // Ensure output directory exists
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
+      logger.debug(`✓ Found ${result.entityStates.length} Entity state${result.entityStates.length === 1 ? '' : 's'}`);
     }
 
-    const typeFiles = generator.generate();
+    if (result.events.length > 0) {
+      totalEvents += result.events.length;
 
-    // Write type files
-    for (const [filename, content] of Object.entries(typeFiles)) {
-      const outputPath = path.join(outputDir, filename);
-      fs.writeFileSync(outputPath, content, 'utf-8');
-      console.log(`  ✓ Generated: ${outputPath}`);
+      logger.debug(`✓ Found ${result.events.length} event registration${result.events.length === 1 ? '' : 's'}`);
     }
-  }
 
-  // Generate StateBag types in _internal folder
-  if (stateBagGenerator.getTotalCount() > 0) {
-    console.log(`\n🌐 Generating state definitions...`);
-    const internalDir = path.join(config.outputDir, '_internal');
+    if (result.callbacks.length > 0) {
+      totalCallbacks += result.callbacks.length;
 
-    if (!fs.existsSync(internalDir)) {
-      fs.mkdirSync(internalDir, { recursive: true });
+      logger.debug(`✓ Found ${result.callbacks.length} callback${result.callbacks.length === 1 ? '' : 's'}`);
     }
+  }
 
-    const stateFiles = stateBagGenerator.generate();
+  // Files inside a resource that its manifest never loads
+  const unloadedFiles = workspace.getUnloadedFiles();
 
-    for (const [filename, content] of Object.entries(stateFiles)) {
-      const outputPath = path.join(internalDir, filename);
-      fs.writeFileSync(outputPath, content, 'utf-8');
-      console.log(`  ✓ Generated: ${outputPath}`);
+  if (unloadedFiles.length > 0) {
+    logger.info(`⚠️  Skipped ${unloadedFiles.length} file${unloadedFiles.length === 1 ? '' : 's'} not loaded by any fxmanifest.lua:`);
+    for (const filePath of unloadedFiles) {
+      logger.info(`  - ${filePath}`);
     }
   }
 
-  console.log('\n✅ Type generation complete!');
-  console.log(`\n💡 Add this to your Lua.workspace.library in VS Code settings:`);
-  console.log(`   "${path.resolve(config.outputDir).replace(/\\/g, '\\\\')}"`);
+  // State bag generator for all resources (GlobalState, Player.state, LocalPlayer.state)
+  const stateBagGenerator = workspace.createStateBagGenerator();
+  const eventGenerator = workspace.createEventGenerator();
+  const callbackGenerator = workspace.createCallbackGenerator();
+  const resourceNames = workspace.getResourceNames();
+
+  logger.info(`📊 Found ${totalExports} exports to document`);
+  logger.info(`🌐 Found ${totalGlobalStates} GlobalState assignments (${stateBagGenerator.getCount()} unique)`);
+  logger.info(`👤 Found ${totalPlayerStates + totalLocalPlayerStates} Player/LocalPlayer state assignments (${stateBagGenerator.getPlayerStateCount() + stateBagGenerator.getLocalPlayerStateCount()} unique)`);
+
+  logger.info(`🚗 Found ${totalEntityStates} Entity state assignments (${stateBagGenerator.getEntityStateCount()} unique)`);
+  logger.info(`📡 Found ${totalEvents} event registrations (${eventGenerator.getCount()} unique)`);
+  logger.info(`📞 Found ${totalCallbacks} callback registrations (${callbackGenerator.getCount()} unique)`);
+
+  const stateConflicts = stateBagGenerator.getConflicts();
+  if (stateConflicts.length > 0) {
+    logger.info(`\n⚠️  ${stateConflicts.length} state key${stateConflicts.length === 1 ? ' is' : 's are'} written with different types:`);
+    logger.info(formatStateConflicts(stateConflicts));
+  }
+
+  if (Object.keys(files).length === 0 && !watchMode && !compareMode) {
+    logger.info('❌ No exports, states, events or callbacks found');
+
+    // Nothing is generated anymore, so the output of earlier runs is stale
+    new OutputWriter(config.outputDir).load().commit();
+    return 0;
+  }
+
+  // Compare with the previous output or a snapshot instead of generating
+  if (compareMode) {
+    const value = args.check ?? args.diff;
+    const snapshotPath = typeof value === 'string' ? path.resolve(value) : path.join(config.outputDir, API_MANIFEST_FILE);
+    const breaking = reportApiDiff(workspace, snapshotPath);
+
+    return breaking && args.check !== null ? 1 : 0;
+  }
+
+  // Files of the previous run that aren't generated anymore are removed at the end
+  const output = new OutputWriter(config.outputDir).load();
+
+  // Type files of each resource, the _internal folder with the states, events and callbacks of every resource,
+  // and api.json, from which types can be generated again with --manifest
+  logger.info(`📝 Writing type definitions for ${resourceNames.size} resource${resourceNames.size === 1 ? '' : 's'} and ${API_MANIFEST_FILE}...`);
+  output.writeTree(config.outputDir, files);
+
+  if (config.docsDir) {
+    logger.info(`\n📚 Writing documentation...`);
+    output.write(config.docsDir, docs);
+  }
+
+  output.commit();
+
+  logger.info('\n✅ Type generation complete!');
+  logger.info(`\n💡 Add this to your Lua.workspace.library in VS Code settings:`);
+  logger.info(`   "${path.resolve(config.outputDir).replace(/\\/g, '\\\\')}"`);
+
+  if (watchMode) {
+    new Watcher(workspace, output).start();
+  }
+
+  return 0;
 }
 
 // Run the script
-main().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    if (error instanceof ConfigError) {
+      logger.error(`❌ Error: ${error.message}`);
+    } else {
+      logger.error('Fatal error:', error);
+    }
+    process.exitCode = 1;
+  });
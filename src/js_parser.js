@@ -0,0 +1,751 @@
+import { detectFileContext } from './parser.js';
+
+/**
+ * Multi-character punctuators, longest first
+ * `<` and `>` are always single tokens so nested generics like Array<Array<number>> stay balanced
+ */
+const PUNCTUATORS = [
+  '...', '===', '!==', '**=', '&&=', '||=', '??=',
+  '=>', '==', '!=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '**'
+];
+
+/**
+ * Words after which a `/` starts a regular expression instead of a division
+ */
+const REGEX_PREFIX_WORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+const NAME = /[A-Za-z_$#\u0080-￿][\w$\u0080-￿]*/y;
+const NUMBER = /(?:0[xXbBoO][\da-fA-F_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?/y;
+
+/**
+ * Brackets tracked when splitting argument, parameter and type lists
+ */
+const OPENING = { '(': ')', '[': ']', '{': '}', '<': '>' };
+
+/**
+ * Splits JavaScript/TypeScript source into just enough tokens to find exports and read their signatures,
+ * keeping comments aside for JSDoc lookups
+ */
+class JsLexer {
+  constructor(source) {
+    this.source = source;
+    this.index = 0;
+    this.line = 1;
+    this.tokens = [];
+    this.comments = [];
+    this.templateDepths = []; // Brace depths at which a template literal's ${ } ends
+    this.braceDepth = 0;
+  }
+
+  /**
+   * Tokenize the whole source
+   * @returns {Object} Object containing tokens and comments arrays
+   */
+  tokenize() {
+    const { source } = this;
+
+    while (this.index < source.length) {
+      const char = source[this.index];
+
+      if (char === '\n') {
+        this.line++;
+        this.index++;
+      } else if (/\s/.test(char)) {
+        this.index++;
+      } else if (source.startsWith('//', this.index) || source.startsWith('/*', this.index)) {
+        this.readComment();
+      } else if (char === '"' || char === "'") {
+        this.readString(char);
+      } else if (char === '`') {
+        this.index++;
+        this.readTemplate(this.index - 1);
+      } else if (char === '/' && this.regexAllowed()) {
+        this.readRegex();
+      } else if (/[\d]/.test(char) || (char === '.' && /\d/.test(source[this.index + 1] || ''))) {
+        this.readPattern(NUMBER, 'number');
+      } else if (NAME.test((NAME.lastIndex = this.index, source))) {
+        this.readPattern(NAME, 'name');
+      } else if (char === '}' && this.templateDepths[this.templateDepths.length - 1] === this.braceDepth) {
+        // End of a ${ } substitution, the template literal goes on
+        this.templateDepths.pop();
+        this.braceDepth--;
+        this.index++;
+        this.readTemplate(this.index - 1);
+      } else {
+        this.readPunctuator();
+      }
+    }
+
+    return { tokens: this.tokens, comments: this.comments };
+  }
+
+  push(type, value, start) {
+    this.tokens.push({ type, value, start, end: this.index, line: this.line });
+  }
+
+  readComment() {
+    const start = this.index;
+    const line = this.line;
+    const block = this.source[this.index + 1] === '*';
+    let end = this.source.indexOf(block ? '*/' : '\n', this.index + 2);
+
+    if (end === -1) end = this.source.length;
+    else if (block) end += 2;
+
+    const value = this.source.substring(start, end);
+    this.line += (value.match(/\n/g) || []).length;
+    this.index = end;
+
+    this.comments.push({ value, jsdoc: value.startsWith('/**') && value !== '/**/', line, endLine: this.line, start, end });
+  }
+
+  readString(quote) {
+    const start = this.index;
+    let value = '';
+    this.index++;
+
+    while (this.index < this.source.length && this.source[this.index] !== quote) {
+      const char = this.source[this.index];
+      if (char === '\\') {
+        value += this.source[this.index + 1] || '';
+        this.index += 2;
+      } else {
+        if (char === '\n') this.line++;
+        value += char;
+        this.index++;
+      }
+    }
+
+    this.index++;
+    this.push('string', value, start);
+  }
+
+  /**
+   * Read a template literal chunk, up to the closing backtick or the next ${
+   * A template without substitutions becomes a string token
+   * @param {number} start - Index of the backtick or closing brace the chunk starts after
+   */
+  readTemplate(start) {
+    let value = '';
+
+    while (this.index < this.source.length) {
+      const char = this.source[this.index];
+
+      if (char === '\\') {
+        value += this.source[this.index + 1] || '';
+        this.index += 2;
+      } else if (char === '`') {
+        this.index++;
+        this.push(this.source[start] === '`' ? 'string' : 'template', value, start);
+        return;
+      } else if (char === '$' && this.source[this.index + 1] === '{') {
+        this.index += 2;
+        this.push('template', value, start);
+        this.braceDepth++;
+        this.templateDepths.push(this.braceDepth);
+        return;
+      } else {
+        if (char === '\n') this.line++;
+        value += char;
+        this.index++;
+      }
+    }
+
+    this.push('template', value, start);
+  }
+
+  readRegex() {
+    const start = this.index;
+    let inClass = false;
+    this.index++;
+
+    while (this.index < this.source.length) {
+      const char = this.source[this.index];
+      if (char === '\\') {
+        this.index += 2;
+        continue;
+      }
+      if (char === '\n') break;
+      if (char === '[') inClass = true;
+      if (char === ']') inClass = false;
+      this.index++;
+      if (char === '/' && !inClass) break;
+    }
+
+    NAME.lastIndex = this.index;
+    if (NAME.test(this.source)) this.index = NAME.lastIndex; // Flags
+
+    this.push('regex', this.source.substring(start, this.index), start);
+  }
+
+  readPattern(pattern, type) {
+    const start = this.index;
+    pattern.lastIndex = this.index;
+    pattern.test(this.source);
+    this.index = pattern.lastIndex;
+    this.push(type, this.source.substring(start, this.index), start);
+  }
+
+  readPunctuator() {
+    const start = this.index;
+    const value = PUNCTUATORS.find(punctuator => this.source.startsWith(punctuator, this.index)) || this.source[this.index];
+
+    if (value === '{') this.braceDepth++;
+    if (value === '}') this.braceDepth--;
+
+    this.index += value.length;
+    this.push('punctuator', value, start);
+  }
+
+  /**
+   * Check whether a `/` at the current position starts a regular expression
+   * @returns {boolean}
+   */
+  regexAllowed() {
+    const previous = this.tokens[this.tokens.length - 1];
+    if (!previous) return true;
+    if (previous.type === 'name') return REGEX_PREFIX_WORDS.has(previous.value);
+    if (previous.type === 'punctuator') return ![')', ']', '}'].includes(previous.value);
+    return false;
+  }
+}
+
+/**
+ * Extracts exports and their JSDoc/TypeScript signatures from JavaScript and TypeScript files
+ * Exports come out in the same shape as LuaParser's, with `language: 'js'` as their types are TypeScript types
+ */
+export class JsParser {
+  /**
+   * @param {Object} [options]
+   * @param {import('./manifest.js').ManifestIndex} [options.manifests] - Manifest index used to detect file contexts
+   */
+  constructor(options = {}) {
+    this.manifests = options.manifests || null;
+    this.exports = [];
+  }
+
+  /**
+   * Parse a JavaScript/TypeScript file content and extract all exports('name', fn) and global.exports('name', fn) calls
+   * @param {string} content - The file content
+   * @param {string} filePath - The file path for context
+   * @returns {Array} Array of export definitions
+   */
+  parse(content, filePath) {
+    this.exports = [];
+    const { tokens, comments } = new JsLexer(content).tokenize();
+    const syntax = { source: content, tokens, comments };
+    const context = detectFileContext(filePath, this.manifests);
+
+    tokens.forEach((token, index) => {
+      if (token.type !== 'name' || token.value !== 'exports' || tokens[index + 1]?.value !== '(') return;
+
+      // exports(...) or global.exports(...) / globalThis.exports(...), but not something.exports(...)
+      let statementStart = index;
+      if (tokens[index - 1]?.value === '.') {
+        if (!['global', 'globalThis'].includes(tokens[index - 2]?.value) || tokens[index - 3]?.value === '.') return;
+        statementStart = index - 2;
+      } else if (tokens[index - 1]?.value === 'function') {
+        return;
+      }
+
+      const exportData = this.parseExport(syntax, index + 1, statementStart, context, filePath);
+      if (exportData) {
+        this.exports.push(exportData);
+      }
+    });
+
+    return this.exports;
+  }
+
+  /**
+   * Parse the arguments of an exports call
+   * @param {Object} syntax - Source, tokens and comments of the file
+   * @param {number} openIndex - Index of the call's opening parenthesis
+   * @param {number} statementStart - Index of the first token of the call, JSDoc above it documents an inline function
+   * @param {string} context - client/server/shared
+   * @param {string} filePath
+   * @returns {Object|null}
+   */
+  parseExport(syntax, openIndex, statementStart, context, filePath) {
+    const { tokens } = syntax;
+    const args = this.splitList(tokens, openIndex + 1, this.findClosing(tokens, openIndex));
+    const [nameArg, functionArg] = args;
+
+    if (!nameArg || nameArg.length !== 1 || nameArg[0].type !== 'string' || !functionArg?.length) {
+      return null;
+    }
+
+    let signature = null;
+    let docsStart = statementStart;
+
+    if (functionArg.length === 1 && functionArg[0].type === 'name') {
+      // Reference to a function declared in the file
+      const declaration = this.findDeclaration(tokens, functionArg[0].value);
+      if (declaration) {
+        signature = this.parseFunction(syntax, declaration.functionIndex);
+        docsStart = declaration.statementStart;
+      }
+    } else {
+      signature = this.parseFunction(syntax, tokens.indexOf(functionArg[0]));
+      if (!signature) return null;
+    }
+
+    const docs = this.parseJsDoc(this.findJsDoc(syntax, tokens[docsStart].start));
+    const parameters = signature?.parameters || [];
+
+    // Types written in the signature win over JSDoc types
+    for (const param of parameters) {
+      const docParam = docs.params.find(p => p.name === param.name);
+      if (docParam && param.annotated) docParam.type = param.type;
+      if (docParam && param.optional) docParam.optional = true;
+    }
+
+    if (signature?.returnType) {
+      docs.returns = [{ type: signature.returnType, description: docs.returns[0]?.description || '', variants: [] }];
+    }
+
+    if (signature?.isAsync) {
+      docs.async = true;
+      for (const ret of docs.returns) {
+        if (!ret.type.startsWith('Promise<')) ret.type = `Promise<${ret.type}>`;
+      }
+      if (docs.returns.length === 0) docs.returns.push({ type: 'Promise<any>', description: '', variants: [] });
+    }
+
+    if (signature?.generics) {
+      docs.generics = [signature.generics];
+    }
+
+    return {
+      name: nameArg[0].value,
+      language: 'js',
+      context,
+      documentation: docs,
+      parameters: parameters.map(({ name, type, optional }) => ({ name, type, optional })),
+      // Values aren't inferred from JavaScript, only whether there is one
+      returnTypes: signature?.returnsValue ? ['any'] : [],
+      description: docs.description || '',
+      reference: null,
+      filePath,
+      line: tokens[statementStart].line
+    };
+  }
+
+  /**
+   * Find where a function is declared: `function name(`, or `const name = ` followed by a function or arrow function
+   * @param {Array} tokens
+   * @param {string} name
+   * @returns {Object|null} { functionIndex, statementStart }
+   */
+  findDeclaration(tokens, name) {
+    for (let index = 0; index < tokens.length; index++) {
+      const token = tokens[index];
+      if (token.type !== 'name' || token.value !== name) continue;
+
+      let statementStart = -1;
+      let functionIndex = -1;
+
+      if (tokens[index - 1]?.value === 'function') {
+        statementStart = tokens[index - 2]?.value === 'async' ? index - 2 : index - 1;
+        functionIndex = statementStart;
+      } else if (['const', 'let', 'var'].includes(tokens[index - 1]?.value)) {
+        // Skip a type annotation: const name: Type = ...
+        let equals = index + 1;
+        if (tokens[equals]?.value === ':') {
+          while (equals < tokens.length && tokens[equals].value !== '=') equals++;
+        }
+        if (tokens[equals]?.value !== '=') continue;
+
+        statementStart = index - 1;
+        functionIndex = equals + 1;
+      } else {
+        continue;
+      }
+
+      if (tokens[statementStart - 1]?.value === 'export') statementStart--;
+      return { functionIndex, statementStart };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a function or arrow function starting at a token
+   * @param {Object} syntax - Source, tokens and comments of the file
+   * @param {number} index - Index of the first token (async, function, a parenthesis, or the single parameter of an arrow)
+   * @returns {Object|null} { parameters, returnType, generics, isAsync, returnsValue }, or null if no function starts there
+   */
+  parseFunction(syntax, index) {
+    const { tokens } = syntax;
+    let position = index;
+    let isAsync = false;
+    let generics = null;
+
+    if (tokens[position]?.value === 'async' && tokens[position + 1]?.value !== '=>') {
+      isAsync = true;
+      position++;
+    }
+
+    const isArrow = tokens[position]?.value !== 'function';
+    if (!isArrow) {
+      position++;
+      if (tokens[position]?.value === '*') position++;
+      if (tokens[position]?.type === 'name') position++;
+    }
+
+    // Single parameter arrow function: name => ...
+    if (isArrow && tokens[position]?.type === 'name' && tokens[position + 1]?.value === '=>') {
+      return {
+        parameters: [{ name: tokens[position].value, type: 'any', annotated: false, optional: false }],
+        returnType: null,
+        generics,
+        isAsync,
+        returnsValue: this.returnsValue(tokens, position + 2)
+      };
+    }
+
+    if (tokens[position]?.value === '<') {
+      const close = this.findClosing(tokens, position);
+      generics = this.sourceOf(syntax, position + 1, close);
+      position = close + 1;
+    }
+
+    if (tokens[position]?.value !== '(') return null;
+
+    const close = this.findClosing(tokens, position);
+    const parameters = this.splitList(tokens, position + 1, close)
+      .map((param, paramIndex) => this.parseParameter(syntax, param, paramIndex))
+      .filter(Boolean);
+
+    position = close + 1;
+    let returnType = null;
+
+    if (tokens[position]?.value === ':') {
+      const typeStart = position + 1;
+      let depth = 0;
+
+      for (position = typeStart; position < tokens.length; position++) {
+        const value = tokens[position].value;
+        const previous = tokens[position - 1].value;
+
+        if (depth === 0 && isArrow && value === '=>' && position > typeStart) break;
+        if (depth === 0 && !isArrow && value === '{' && position > typeStart && !['|', '&', ':', ',', '(', '<', '=>', '?'].includes(previous)) break;
+
+        if (OPENING[value]) depth++;
+        else if ([')', ']', '}', '>'].includes(value)) depth--;
+      }
+
+      returnType = this.sourceOf(syntax, typeStart, position);
+    }
+
+    if (isArrow && tokens[position]?.value !== '=>') return null;
+
+    return { parameters, returnType, generics, isAsync, returnsValue: this.returnsValue(tokens, isArrow ? position + 1 : position) };
+  }
+
+  /**
+   * Check whether a function body returns a value, ignoring the returns of functions nested in it
+   * @param {Array} tokens
+   * @param {number} index - Index of the first token of the body, after the arrow for arrow functions
+   * @returns {boolean}
+   */
+  returnsValue(tokens, index) {
+    // An arrow function without braces returns its expression
+    if (tokens[index]?.value !== '{') return index < tokens.length;
+
+    const end = this.findClosing(tokens, index);
+
+    for (let position = index + 1; position < end; position++) {
+      const token = tokens[position];
+
+      if (token.value === '=>' && tokens[position + 1]?.value === '{') {
+        position = this.findClosing(tokens, position + 1);
+      } else if (token.type === 'name' && token.value === 'function') {
+        while (position < end && tokens[position].value !== '(') position++;
+        position = this.findClosing(tokens, position);
+        while (position < end && tokens[position].value !== '{') position++;
+        position = this.findClosing(tokens, position);
+      } else if (token.type === 'name' && token.value === 'return') {
+        // A value on the next line isn't returned, see automatic semicolon insertion
+        const next = tokens[position + 1];
+        if (next && next.line === token.line && next.value !== ';' && next.value !== '}') return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Parse one parameter of a signature: name, rest, optional marker, type annotation and default value
+   * @param {Object} syntax - Source, tokens and comments of the file
+   * @param {Array} param - Tokens of the parameter
+   * @param {number} paramIndex - Position of the parameter, used to name destructured parameters
+   * @returns {Object|null} { name, type, annotated, optional }, null for TypeScript's this parameter
+   */
+  parseParameter(syntax, param, paramIndex) {
+    const { tokens } = syntax;
+    let position = tokens.indexOf(param[0]);
+    const end = tokens.indexOf(param[param.length - 1]) + 1;
+    let name;
+    let rest = false;
+
+    if (tokens[position].value === '...') {
+      rest = true;
+      position++;
+    }
+
+    if (OPENING[tokens[position].value]) {
+      // Destructured parameter
+      name = `arg${paramIndex + 1}`;
+      position = this.findClosing(tokens, position) + 1;
+    } else {
+      name = tokens[position].value;
+      position++;
+    }
+
+    if (name === 'this') return null;
+
+    let optional = false;
+    if (tokens[position]?.value === '?') {
+      optional = true;
+      position++;
+    }
+
+    let type = null;
+    if (tokens[position]?.value === ':' && position < end) {
+      const typeStart = position + 1;
+      let depth = 0;
+      for (position = typeStart; position < end; position++) {
+        const value = tokens[position].value;
+        if (depth === 0 && value === '=') break;
+        if (OPENING[value]) depth++;
+        else if ([')', ']', '}', '>'].includes(value)) depth--;
+      }
+      type = this.sourceOf(syntax, typeStart, position);
+    }
+
+    if (tokens[position]?.value === '=' && position < end) {
+      optional = true;
+
+      // Infer the type of an untyped parameter from a literal default value
+      const value = tokens[position + 1];
+      if (!type && position + 2 === end) {
+        if (value.type === 'string') type = 'string';
+        if (value.type === 'number') type = 'number';
+        if (value.value === 'true' || value.value === 'false') type = 'boolean';
+      }
+    }
+
+    if (rest) {
+      return { name: '...', type: type ? type.replace(/\[\]$/, '') : 'any', annotated: Boolean(type), optional: false };
+    }
+
+    return { name, type: type || 'any', annotated: Boolean(type), optional };
+  }
+
+  /**
+   * Find the JSDoc block that ends right before a position (only whitespace in between)
+   * @param {Object} syntax - Source, tokens and comments of the file
+   * @param {number} position - Start of the documented statement
+   * @returns {string} The comment, or an empty string
+   */
+  findJsDoc(syntax, position) {
+    for (let index = syntax.comments.length - 1; index >= 0; index--) {
+      const comment = syntax.comments[index];
+      if (comment.end > position) continue;
+
+      const between = syntax.source.substring(comment.end, position);
+      return comment.jsdoc && /^\s*$/.test(between) ? comment.value : '';
+    }
+
+    return '';
+  }
+
+  /**
+   * Parse a JSDoc block into the documentation shape of LuaParser.extractDocumentation
+   * Supports @param (with [optional] and [name=default] names), @returns, @template, @deprecated, @see and @async
+   * @param {string} comment - The JSDoc comment including its delimiters
+   * @returns {Object}
+   */
+  parseJsDoc(comment) {
+    const docs = {
+      description: '',
+      params: [],
+      returns: [],
+      overloads: [],
+      generics: [],
+      see: [],
+      nodiscard: false,
+      async: false,
+      deprecated: undefined,
+      rawComments: []
+    };
+
+    const lines = comment
+      .replace(/^\/\*\*/, '')
+      .replace(/\*\/$/, '')
+      .split('\n')
+      .map(line => line.replace(/^\s*\*?\s?/, '').trimEnd());
+
+    docs.rawComments = lines.filter(line => line.trim());
+
+    // Join every tag with the lines that continue it
+    const descriptionLines = [];
+    const tags = [];
+    for (const line of lines) {
+      if (line.trim().startsWith('@')) {
+        tags.push(line.trim());
+      } else if (tags.length > 0) {
+        if (line.trim()) tags[tags.length - 1] += '\n' + line.trim();
+      } else if (line.trim()) {
+        descriptionLines.push(line.trim());
+      }
+    }
+
+    docs.description = descriptionLines.join('\n');
+
+    for (const tagText of tags) {
+      const [, tag, text = ''] = tagText.match(/^@(\w+)\s*([\s\S]*)$/) || [];
+      const { type, rest } = this.readJsDocType(text);
+
+      switch (tag) {
+        case 'param':
+        case 'arg':
+        case 'argument': {
+          const nameMatch = rest.match(/^(\[([^\]=]+)(?:=[^\]]*)?\]|[\w$.]+)\s*(?:-\s*)?([\s\S]*)$/);
+          if (!nameMatch) break;
+
+          const optional = Boolean(nameMatch[2]);
+          const name = (nameMatch[2] || nameMatch[1]).trim();
+
+          // Properties of an options object (@param options.key) are part of its type
+          if (name.includes('.')) break;
+
+          docs.params.push({ name, type: type || '', description: nameMatch[3].trim(), optional, variants: [] });
+          break;
+        }
+        case 'returns':
+        case 'return':
+          docs.returns.push({ type: type || 'any', description: rest.replace(/^-\s*/, ''), variants: [] });
+          break;
+        case 'template':
+          docs.generics.push(text.trim());
+          break;
+        case 'deprecated':
+          docs.deprecated = text.trim();
+          break;
+        case 'see':
+          docs.see.push(text.trim());
+          break;
+        case 'async':
+          docs.async = true;
+          break;
+      }
+    }
+
+    return docs;
+  }
+
+  /**
+   * Read a {Type} at the start of a JSDoc tag
+   * @param {string} text
+   * @returns {Object} { type, rest }, type being null when the tag has none
+   */
+  readJsDocType(text) {
+    const trimmed = text.trimStart();
+    if (!trimmed.startsWith('{')) return { type: null, rest: trimmed.trim() };
+
+    let depth = 0;
+    for (let index = 0; index < trimmed.length; index++) {
+      if (trimmed[index] === '{') depth++;
+      if (trimmed[index] === '}' && --depth === 0) {
+        return { type: trimmed.substring(1, index).trim(), rest: trimmed.substring(index + 1).trim() };
+      }
+    }
+
+    return { type: null, rest: trimmed.trim() };
+  }
+
+  /**
+   * Find the token closing the bracket at an index
+   * @param {Array} tokens
+   * @param {number} index - Index of an opening bracket
+   * @returns {number} Index of the closing bracket, or the last token if it's missing
+   */
+  findClosing(tokens, index) {
+    const stack = [];
+
+    for (let position = index; position < tokens.length; position++) {
+      const value = tokens[position].value;
+
+      if (tokens[position].type !== 'punctuator') continue;
+      if (OPENING[value] && (value !== '<' || tokens[index].value === '<')) {
+        stack.push(OPENING[value]);
+      } else if (value === stack[stack.length - 1]) {
+        stack.pop();
+        if (stack.length === 0) return position;
+      }
+    }
+
+    return tokens.length - 1;
+  }
+
+  /**
+   * Split the tokens between two indexes at the commas that aren't nested in brackets
+   * @param {Array} tokens
+   * @param {number} start - First index
+   * @param {number} end - Index after the last token
+   * @returns {Array} Array of token arrays
+   */
+  splitList(tokens, start, end) {
+    const items = [];
+    let current = [];
+    let depth = 0;
+
+    for (let position = start; position < end; position++) {
+      const token = tokens[position];
+
+      if (token.type === 'punctuator') {
+        if (['(', '[', '{'].includes(token.value) || (token.value === '<' && this.isTypeBracket(tokens, position))) depth++;
+        if ([')', ']', '}'].includes(token.value) || (token.value === '>' && depth > 0 && this.isTypeBracket(tokens, position))) depth--;
+
+        if (token.value === ',' && depth === 0) {
+          items.push(current);
+          current = [];
+          continue;
+        }
+      }
+
+      current.push(token);
+    }
+
+    if (current.length > 0) items.push(current);
+    return items;
+  }
+
+  /**
+   * Guess whether a < or > is a generic type bracket rather than a comparison, from the token before it
+   * @param {Array} tokens
+   * @param {number} position
+   * @returns {boolean}
+   */
+  isTypeBracket(tokens, position) {
+    if (tokens[position].value === '>') return true;
+    const previous = tokens[position - 1];
+    return previous?.type === 'name' && /^[A-Z]|^(Array|Record|Promise|Partial|Readonly|Map|Set)$/.test(previous.value);
+  }
+
+  /**
+   * Get the source text of a range of tokens with whitespace collapsed
+   * @param {Object} syntax - Source, tokens and comments of the file
+   * @param {number} start - First token index
+   * @param {number} end - Index after the last token
+   * @returns {string}
+   */
+  sourceOf(syntax, start, end) {
+    if (end <= start) return '';
+    return syntax.source.substring(syntax.tokens[start].start, syntax.tokens[end - 1].end).replace(/\s+/g, ' ').trim();
+  }
+}
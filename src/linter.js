@@ -0,0 +1,220 @@
+import path from 'path';
+
+/**
+ * Every lint rule with its severity, errors fail the lint command
+ */
+export const LINT_RULES = {
+  'parse-error': { severity: 'error', description: 'The file could not be parsed' },
+  'manifest-error': { severity: 'error', description: 'The fxmanifest.lua could not be parsed, script contexts are guessed from the paths' },
+  'undocumented-export': { severity: 'warning', description: 'Export without a documentation comment' },
+  'unknown-param': { severity: 'error', description: '@param that does not match a parameter of the function' },
+  'undocumented-param': { severity: 'warning', description: 'Parameter missing from the @param tags of a documented export' },
+  'missing-return': { severity: 'warning', description: 'Function returns a value but has no @return' },
+  'duplicate-export': { severity: 'error', description: 'Export name registered more than once in a resource' },
+  'state-type-conflict': { severity: 'warning', description: 'State key written with different types' }
+};
+
+/**
+ * Output formats of the lint command
+ */
+export const LINT_FORMATS = ['human', 'json', 'sarif'];
+
+/**
+ * Check whether two exports with the same name are loaded in the same runtime
+ * @param {string} a - client/server/shared
+ * @param {string} b - client/server/shared
+ * @returns {boolean}
+ */
+function contextsOverlap(a, b) {
+  return a === b || a === 'shared' || b === 'shared';
+}
+
+/**
+ * Create a diagnostic
+ * @param {string} rule - Name of a LINT_RULES entry
+ * @param {string} message
+ * @param {Object} location - Anything with filePath and line
+ * @returns {Object} { rule, severity, message, filePath, line }
+ */
+export function createDiagnostic(rule, message, location) {
+  return { rule, severity: LINT_RULES[rule].severity, message, filePath: location.filePath, line: location.line || 1 };
+}
+
+/**
+ * Check the documentation of an export against its function
+ * @param {Object} exp - Export with references resolved
+ * @returns {Array} Diagnostics
+ */
+function lintExport(exp) {
+  const diagnostics = [];
+  const docs = exp.documentation;
+
+  if (docs.rawComments.length === 0) {
+    diagnostics.push(createDiagnostic('undocumented-export', `Export \`${exp.name}\` is not documented`, exp));
+  }
+
+  // The function lives in another resource or couldn't be found, there is no signature to compare with
+  if (exp.reference) return diagnostics;
+
+  const names = exp.parameters.map(param => param.name);
+  const documented = new Set(docs.params.map(param => param.name));
+
+  docs.params.forEach((param, index) => {
+    if (names.includes(param.name)) return;
+
+    // Destructured JavaScript parameters have no name of their own, any name documents them
+    if (exp.language === 'js' && /^arg\d+$/.test(names[index] || '')) return;
+
+    const signature = names.length > 0 ? `(${names.join(', ')})` : 'no parameters';
+    diagnostics.push(createDiagnostic(
+      'unknown-param',
+      `@param \`${param.name}\` of export \`${exp.name}\` does not match any parameter of the function, which has ${signature}`,
+      exp
+    ));
+  });
+
+  if (docs.params.length > 0) {
+    exp.parameters.forEach((param, index) => {
+      if (documented.has(param.name)) return;
+      if (exp.language === 'js' && /^arg\d+$/.test(param.name) && docs.params[index]) return;
+
+      diagnostics.push(createDiagnostic(
+        'undocumented-param',
+        `Parameter \`${param.name}\` of export \`${exp.name}\` has no @param`,
+        exp
+      ));
+    });
+  }
+
+  if (exp.returnTypes.length > 0 && docs.returns.length === 0) {
+    diagnostics.push(createDiagnostic(
+      'missing-return',
+      `Export \`${exp.name}\` returns a value but has no ${exp.language === 'js' ? '@returns' : '@return'}`,
+      exp
+    ));
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Lint the exports of a resource
+ * @param {Array} exports - Every export of the resource with references resolved, from TypeGenerator.getExports
+ * @returns {Array} Diagnostics
+ */
+export function lintExports(exports) {
+  const diagnostics = [];
+  const seen = new Map(); // Map of export name to the registrations found so far
+
+  const sorted = [...exports].sort((a, b) => a.filePath.localeCompare(b.filePath) || a.line - b.line);
+
+  for (const exp of sorted) {
+    diagnostics.push(...lintExport(exp));
+
+    const previous = (seen.get(exp.name) || []).find(other => contextsOverlap(other.context, exp.context));
+    if (previous) {
+      diagnostics.push(createDiagnostic(
+        'duplicate-export',
+        `Export \`${exp.name}\` (${exp.context}) is already registered at ${path.relative(process.cwd(), previous.filePath)}:${previous.line} (${previous.context})`,
+        exp
+      ));
+    }
+
+    seen.set(exp.name, [...(seen.get(exp.name) || []), exp]);
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Count the errors and warnings of a lint run
+ * @param {Array} diagnostics
+ * @returns {Object} { errors, warnings }
+ */
+export function countDiagnostics(diagnostics) {
+  const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+  return { errors, warnings: diagnostics.length - errors };
+}
+
+/**
+ * Format diagnostics for the console, one line per problem with a clickable file:line location
+ * @param {Array} diagnostics
+ * @param {string} cwd - Locations are shown relative to it
+ * @returns {string}
+ */
+function formatHuman(diagnostics, cwd) {
+  if (diagnostics.length === 0) {
+    return '✅ No problems found\n';
+  }
+
+  let output = '';
+
+  for (const diagnostic of diagnostics) {
+    const location = `${path.relative(cwd, diagnostic.filePath)}:${diagnostic.line}`;
+    output += `${location}  ${diagnostic.severity.padEnd(7)}  ${diagnostic.message}  (${diagnostic.rule})\n`;
+  }
+
+  const { errors, warnings } = countDiagnostics(diagnostics);
+  output += `\n${diagnostics.length} problem${diagnostics.length === 1 ? '' : 's'} (${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'})\n`;
+
+  return output;
+}
+
+/**
+ * Format diagnostics as a SARIF 2.1.0 log, e.g. for GitHub code scanning
+ * @param {Array} diagnostics
+ * @param {string} cwd - Locations are relative to it
+ * @returns {Object}
+ */
+function toSarif(diagnostics, cwd) {
+  const ruleIds = Object.keys(LINT_RULES);
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'fivem-type-gen',
+          rules: ruleIds.map(id => ({
+            id,
+            shortDescription: { text: LINT_RULES[id].description },
+            defaultConfiguration: { level: LINT_RULES[id].severity }
+          }))
+        }
+      },
+      results: diagnostics.map(diagnostic => ({
+        ruleId: diagnostic.rule,
+        ruleIndex: ruleIds.indexOf(diagnostic.rule),
+        level: diagnostic.severity,
+        message: { text: diagnostic.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: path.relative(cwd, diagnostic.filePath).split(path.sep).join('/') },
+            region: { startLine: diagnostic.line }
+          }
+        }]
+      }))
+    }]
+  };
+}
+
+/**
+ * Format diagnostics
+ * @param {Array} diagnostics
+ * @param {string} format - human, json or sarif
+ * @param {string} [cwd] - Locations are shown relative to it
+ * @returns {string}
+ */
+export function formatLintResults(diagnostics, format, cwd = process.cwd()) {
+  if (format === 'sarif') {
+    return JSON.stringify(toSarif(diagnostics, cwd), null, 2) + '\n';
+  }
+
+  if (format === 'json') {
+    const relative = diagnostics.map(diagnostic => ({ ...diagnostic, filePath: path.relative(cwd, diagnostic.filePath).split(path.sep).join('/') }));
+    return JSON.stringify({ ...countDiagnostics(diagnostics), diagnostics: relative }, null, 2) + '\n';
+  }
+
+  return formatHuman(diagnostics, cwd);
+}
@@ -0,0 +1,41 @@
+/**
+ * Console output of the command line tool, honouring the quiet and verbose options
+ * Errors are always shown
+ */
+export const logger = {
+  quiet: false,
+  verbose: false,
+
+  /**
+   * Apply the quiet and verbose options of a config
+   * @param {Object} config
+   */
+  configure(config) {
+    this.quiet = Boolean(config.quiet);
+    this.verbose = Boolean(config.verbose) && !this.quiet;
+  },
+
+  /**
+   * Regular progress output, hidden by quiet
+   * @param {...*} args
+   */
+  info(...args) {
+    if (!this.quiet) console.log(...args);
+  },
+
+  /**
+   * Detailed output, only shown with verbose
+   * @param {...*} args
+   */
+  debug(...args) {
+    if (this.verbose) console.log(...args);
+  },
+
+  /**
+   * Errors, always shown
+   * @param {...*} args
+   */
+  error(...args) {
+    console.error(...args);
+  }
+};
@@ -0,0 +1,751 @@
+import { LuaLexer, LuaSyntaxError } from './lua_lexer.js';
+
+/**
+ * Binary operator priorities as [left, right], taken from the Lua 5.4 reference parser
+ * Right associative operators (.. and ^) have a lower right priority
+ */
+const BINARY_PRIORITY = {
+  'or': [1, 1],
+  'and': [2, 2],
+  '<': [3, 3], '>': [3, 3], '<=': [3, 3], '>=': [3, 3], '~=': [3, 3], '!=': [3, 3], '==': [3, 3],
+  '|': [4, 4],
+  '~': [5, 5],
+  '&': [6, 6],
+  '<<': [7, 7], '>>': [7, 7],
+  '..': [9, 8],
+  '+': [10, 10], '-': [10, 10],
+  '*': [11, 11], '/': [11, 11], '//': [11, 11], '%': [11, 11],
+  '^': [14, 13]
+};
+
+const UNARY_PRIORITY = 12;
+
+/**
+ * CfxLua compound assignment operators
+ */
+const COMPOUND_OPERATORS = new Set(['+=', '-=', '*=', '/=', '//=', '%=', '^=', '..=', '<<=', '>>=', '&=', '|=']);
+
+/**
+ * Tokens that close a block
+ */
+const BLOCK_END = new Set(['end', 'else', 'elseif', 'until']);
+
+/**
+ * Node properties that never hold child nodes, skipped while walking
+ */
+const NON_CHILD_KEYS = new Set(['type', 'line', 'endLine', 'start', 'end', 'parent']);
+
+/**
+ * Builds an abstract syntax tree from Lua 5.4 source, including the CfxLua extensions
+ * (backtick hashes, compound assignment, safe navigation, `in` unpacking and set constructors)
+ *
+ * Every node has a `type`, the `line`/`endLine` it spans and the `start`/`end` offsets into the source
+ */
+export class LuaAstParser {
+  constructor(source) {
+    this.source = source;
+    const { tokens, comments } = new LuaLexer(source).tokenize();
+    this.tokens = tokens;
+    this.comments = comments;
+    this.position = 0;
+  }
+
+  /**
+   * Parse the source as a whole chunk
+   * @returns {Object} Chunk node, with the comments found in the source
+   */
+  parseChunk() {
+    const start = this.peek();
+    const body = this.parseBlock();
+    this.expect('<eof>');
+
+    return {
+      type: 'Chunk',
+      body,
+      comments: this.comments,
+      line: start.line,
+      endLine: this.peek().line,
+      start: 0,
+      end: this.source.length
+    };
+  }
+
+  /**
+   * Parse the source as a single expression
+   * @returns {Object} Expression node
+   */
+  parseStandaloneExpression() {
+    const expression = this.parseExpression();
+    this.expect('<eof>');
+    return expression;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Token helpers
+  // ---------------------------------------------------------------------------
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (this.position < this.tokens.length - 1) {
+      this.position++;
+    }
+    this.previous = token;
+    return token;
+  }
+
+  /**
+   * Check whether the current token is a symbol or keyword with the given value
+   * @param {string} value
+   * @returns {boolean}
+   */
+  check(value) {
+    const token = this.peek();
+    return (token.type === 'symbol' || token.type === 'keyword' || token.type === 'eof') && token.value === value;
+  }
+
+  accept(value) {
+    if (this.check(value)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  expect(value) {
+    if (!this.check(value)) {
+      this.unexpected(`'${value}' expected`);
+    }
+    return this.next();
+  }
+
+  expectName() {
+    const token = this.peek();
+    if (token.type !== 'name') {
+      this.unexpected('<name> expected');
+    }
+    return this.next();
+  }
+
+  isBlockEnd() {
+    const token = this.peek();
+    return token.type === 'eof' || (token.type === 'keyword' && BLOCK_END.has(token.value));
+  }
+
+  unexpected(message) {
+    const token = this.peek();
+    throw new LuaSyntaxError(`${message} near '${token.value}'`, token.line);
+  }
+
+  /**
+   * Finish a node, recording where it ends
+   * @param {Object} node
+   * @param {Object} startToken - First token of the node
+   * @returns {Object}
+   */
+  finish(node, startToken) {
+    node.line = startToken.line;
+    node.start = startToken.start;
+    node.endLine = this.previous ? this.previous.line : startToken.line;
+    node.end = this.previous ? this.previous.end : startToken.end;
+    return node;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Statements
+  // ---------------------------------------------------------------------------
+
+  parseBlock() {
+    const body = [];
+
+    while (!this.isBlockEnd()) {
+      if (this.check('return')) {
+        body.push(this.parseReturn());
+        break;
+      }
+
+      const statement = this.parseStatement();
+      if (statement) {
+        body.push(statement);
+      }
+    }
+
+    return body;
+  }
+
+  parseStatement() {
+    const token = this.peek();
+
+    if (token.type === 'symbol') {
+      if (token.value === ';') {
+        this.next();
+        return null;
+      }
+      if (token.value === '::') {
+        this.next();
+        const name = this.expectName();
+        this.expect('::');
+        return this.finish({ type: 'LabelStatement', label: name.value }, token);
+      }
+    }
+
+    if (token.type === 'keyword') {
+      switch (token.value) {
+        case 'local': return this.parseLocal();
+        case 'function': return this.parseFunctionStatement();
+        case 'if': return this.parseIf();
+        case 'while': return this.parseWhile();
+        case 'do': return this.parseDo();
+        case 'for': return this.parseFor();
+        case 'repeat': return this.parseRepeat();
+        case 'break':
+          this.next();
+          return this.finish({ type: 'BreakStatement' }, token);
+        case 'goto': {
+          this.next();
+          const name = this.expectName();
+          return this.finish({ type: 'GotoStatement', label: name.value }, token);
+        }
+      }
+    }
+
+    return this.parseExpressionStatement();
+  }
+
+  parseLocal() {
+    const start = this.expect('local');
+
+    if (this.accept('function')) {
+      const name = this.expectName();
+      const identifier = this.finish({ type: 'Identifier', name: name.value }, name);
+      return this.parseFunctionBody(start, { identifier, isLocal: true, isMethod: false });
+    }
+
+    const variables = [];
+    do {
+      const name = this.expectName();
+      const variable = this.finish({ type: 'Identifier', name: name.value }, name);
+
+      // Lua 5.4 attributes: <const> and <close>
+      if (this.accept('<')) {
+        variable.attribute = this.expectName().value;
+        this.expect('>');
+      }
+
+      variables.push(variable);
+    } while (this.accept(','));
+
+    // CfxLua `in` unpacking: local a, b in t
+    if (this.accept('in')) {
+      const source = this.parseExpression();
+      return this.finish({ type: 'LocalStatement', variables, init: [], unpack: source }, start);
+    }
+
+    const init = this.accept('=') ? this.parseExpressionList() : [];
+    return this.finish({ type: 'LocalStatement', variables, init }, start);
+  }
+
+  parseFunctionStatement() {
+    const start = this.expect('function');
+    const name = this.expectName();
+    let identifier = this.finish({ type: 'Identifier', name: name.value }, name);
+    let isMethod = false;
+
+    while (this.check('.') || this.check(':')) {
+      const indexer = this.next().value;
+      const key = this.expectName();
+      identifier = this.finish({
+        type: 'MemberExpression',
+        base: identifier,
+        indexer,
+        identifier: this.finish({ type: 'Identifier', name: key.value }, key)
+      }, name);
+
+      if (indexer === ':') {
+        isMethod = true;
+        break;
+      }
+    }
+
+    return this.parseFunctionBody(start, { identifier, isLocal: false, isMethod });
+  }
+
+  /**
+   * Parse a parameter list and body
+   * @param {Object} start - First token of the function
+   * @param {Object} declaration - Identifier, isLocal and isMethod of a declaration, or null for expressions
+   * @returns {Object} FunctionDeclaration node
+   */
+  parseFunctionBody(start, declaration) {
+    const parameters = [];
+    let isVararg = false;
+
+    this.expect('(');
+    if (!this.check(')')) {
+      do {
+        if (this.accept('...')) {
+          isVararg = true;
+          break;
+        }
+        const name = this.expectName();
+        parameters.push(this.finish({ type: 'Identifier', name: name.value }, name));
+      } while (this.accept(','));
+    }
+    this.expect(')');
+
+    const body = this.parseBlock();
+    this.expect('end');
+
+    return this.finish({
+      type: 'FunctionDeclaration',
+      identifier: declaration ? declaration.identifier : null,
+      isLocal: declaration ? declaration.isLocal : false,
+      isMethod: declaration ? declaration.isMethod : false,
+      parameters,
+      isVararg,
+      body
+    }, start);
+  }
+
+  parseReturn() {
+    const start = this.expect('return');
+    let args = [];
+
+    if (!this.isBlockEnd() && !this.check(';')) {
+      args = this.parseExpressionList();
+    }
+    this.accept(';');
+
+    return this.finish({ type: 'ReturnStatement', arguments: args }, start);
+  }
+
+  parseIf() {
+    const start = this.expect('if');
+    const clauses = [];
+
+    const condition = this.parseExpression();
+    this.expect('then');
+    clauses.push({ condition, body: this.parseBlock() });
+
+    while (this.accept('elseif')) {
+      const elseifCondition = this.parseExpression();
+      this.expect('then');
+      clauses.push({ condition: elseifCondition, body: this.parseBlock() });
+    }
+
+    const elseBody = this.accept('else') ? this.parseBlock() : null;
+    this.expect('end');
+
+    return this.finish({ type: 'IfStatement', clauses, elseBody }, start);
+  }
+
+  parseWhile() {
+    const start = this.expect('while');
+    const condition = this.parseExpression();
+    this.expect('do');
+    const body = this.parseBlock();
+    this.expect('end');
+    return this.finish({ type: 'WhileStatement', condition, body }, start);
+  }
+
+  parseDo() {
+    const start = this.expect('do');
+    const body = this.parseBlock();
+    this.expect('end');
+    return this.finish({ type: 'DoStatement', body }, start);
+  }
+
+  parseRepeat() {
+    const start = this.expect('repeat');
+    const body = this.parseBlock();
+    this.expect('until');
+    const condition = this.parseExpression();
+    return this.finish({ type: 'RepeatStatement', body, condition }, start);
+  }
+
+  parseFor() {
+    const start = this.expect('for');
+    const first = this.expectName();
+    const variables = [this.finish({ type: 'Identifier', name: first.value }, first)];
+
+    if (this.accept('=')) {
+      const from = this.parseExpression();
+      this.expect(',');
+      const to = this.parseExpression();
+      const step = this.accept(',') ? this.parseExpression() : null;
+      this.expect('do');
+      const body = this.parseBlock();
+      this.expect('end');
+      return this.finish({ type: 'ForNumericStatement', variable: variables[0], from, to, step, body }, start);
+    }
+
+    while (this.accept(',')) {
+      const name = this.expectName();
+      variables.push(this.finish({ type: 'Identifier', name: name.value }, name));
+    }
+
+    this.expect('in');
+    const iterators = this.parseExpressionList();
+    this.expect('do');
+    const body = this.parseBlock();
+    this.expect('end');
+    return this.finish({ type: 'ForGenericStatement', variables, iterators, body }, start);
+  }
+
+  parseExpressionStatement() {
+    const start = this.peek();
+    const expression = this.parseSuffixedExpression();
+
+    if (this.check('=') || this.check(',')) {
+      const targets = [expression];
+      while (this.accept(',')) {
+        targets.push(this.parseSuffixedExpression());
+      }
+
+      for (const target of targets) {
+        this.assertAssignable(target);
+      }
+
+      this.expect('=');
+      const init = this.parseExpressionList();
+      return this.finish({ type: 'AssignmentStatement', operator: '=', targets, init }, start);
+    }
+
+    const token = this.peek();
+    if (token.type === 'symbol' && COMPOUND_OPERATORS.has(token.value)) {
+      this.assertAssignable(expression);
+      this.next();
+      const value = this.parseExpression();
+      return this.finish({ type: 'AssignmentStatement', operator: token.value, targets: [expression], init: [value] }, start);
+    }
+
+    if (expression.type !== 'CallExpression') {
+      this.unexpected('syntax error');
+    }
+
+    return this.finish({ type: 'CallStatement', expression }, start);
+  }
+
+  assertAssignable(node) {
+    if (node.type !== 'Identifier' && node.type !== 'MemberExpression' && node.type !== 'IndexExpression') {
+      throw new LuaSyntaxError('Cannot assign to this expression', node.line);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Expressions
+  // ---------------------------------------------------------------------------
+
+  parseExpressionList() {
+    const expressions = [this.parseExpression()];
+    while (this.accept(',')) {
+      expressions.push(this.parseExpression());
+    }
+    return expressions;
+  }
+
+  parseExpression(limit = 0) {
+    const start = this.peek();
+    let left;
+
+    if (this.isUnaryOperator(start)) {
+      this.next();
+      const argument = this.parseExpression(UNARY_PRIORITY);
+      left = this.finish({ type: 'UnaryExpression', operator: start.value, argument }, start);
+    } else {
+      left = this.parseSimpleExpression();
+    }
+
+    while (true) {
+      const token = this.peek();
+      const priority = (token.type === 'symbol' || token.type === 'keyword') ? BINARY_PRIORITY[token.value] : null;
+      if (!priority || priority[0] <= limit) break;
+
+      this.next();
+      const right = this.parseExpression(priority[1]);
+      left = this.finish({
+        type: 'BinaryExpression',
+        operator: token.value === '!=' ? '~=' : token.value,
+        left,
+        right
+      }, start);
+    }
+
+    return left;
+  }
+
+  isUnaryOperator(token) {
+    if (token.type === 'keyword') return token.value === 'not';
+    if (token.type === 'symbol') return token.value === '-' || token.value === '#' || token.value === '~';
+    return false;
+  }
+
+  parseSimpleExpression() {
+    const token = this.peek();
+
+    switch (token.type) {
+      case 'number':
+        this.next();
+        return this.finish({ type: 'NumericLiteral', value: token.value, raw: token.raw }, token);
+      case 'string':
+        this.next();
+        return this.finish({ type: 'StringLiteral', value: token.value }, token);
+      case 'hash':
+        this.next();
+        return this.finish({ type: 'HashLiteral', value: token.value }, token);
+      case 'keyword':
+        if (token.value === 'nil') {
+          this.next();
+          return this.finish({ type: 'NilLiteral' }, token);
+        }
+        if (token.value === 'true' || token.value === 'false') {
+          this.next();
+          return this.finish({ type: 'BooleanLiteral', value: token.value === 'true' }, token);
+        }
+        if (token.value === 'function') {
+          this.next();
+          return this.parseFunctionBody(token, null);
+        }
+        break;
+      case 'symbol':
+        if (token.value === '...') {
+          this.next();
+          return this.finish({ type: 'VarargLiteral' }, token);
+        }
+        if (token.value === '{') {
+          return this.parseTable();
+        }
+        break;
+    }
+
+    return this.parseSuffixedExpression();
+  }
+
+  parsePrimaryExpression() {
+    const token = this.peek();
+
+    if (token.type === 'name') {
+      this.next();
+      return this.finish({ type: 'Identifier', name: token.value }, token);
+    }
+
+    if (this.accept('(')) {
+      const expression = this.parseExpression();
+      this.expect(')');
+      return this.finish({ type: 'ParenthesizedExpression', expression }, token);
+    }
+
+    this.unexpected('unexpected symbol');
+  }
+
+  parseSuffixedExpression() {
+    const start = this.peek();
+    let expression = this.parsePrimaryExpression();
+
+    while (true) {
+      const token = this.peek();
+
+      if (token.type === 'string') {
+        const argument = this.parseSimpleExpression();
+        expression = this.finish({ type: 'CallExpression', base: expression, arguments: [argument] }, start);
+        continue;
+      }
+
+      if (token.type !== 'symbol') break;
+
+      if (token.value === '.' || token.value === '?.') {
+        this.next();
+        const key = this.expectName();
+        expression = this.finish({
+          type: 'MemberExpression',
+          base: expression,
+          indexer: '.',
+          safe: token.value === '?.',
+          identifier: this.finish({ type: 'Identifier', name: key.value }, key)
+        }, start);
+      } else if (token.value === '[' || token.value === '?[') {
+        this.next();
+        const index = this.parseExpression();
+        this.expect(']');
+        expression = this.finish({
+          type: 'IndexExpression',
+          base: expression,
+          safe: token.value === '?[',
+          index
+        }, start);
+      } else if (token.value === ':' || token.value === '?:') {
+        this.next();
+        const key = this.expectName();
+        const member = this.finish({
+          type: 'MemberExpression',
+          base: expression,
+          indexer: ':',
+          safe: token.value === '?:',
+          identifier: this.finish({ type: 'Identifier', name: key.value }, key)
+        }, start);
+        expression = this.finish({ type: 'CallExpression', base: member, arguments: this.parseCallArguments() }, start);
+      } else if (token.value === '(' || token.value === '{') {
+        expression = this.finish({ type: 'CallExpression', base: expression, arguments: this.parseCallArguments() }, start);
+      } else {
+        break;
+      }
+    }
+
+    return expression;
+  }
+
+  parseCallArguments() {
+    const token = this.peek();
+
+    if (token.type === 'string') {
+      return [this.parseSimpleExpression()];
+    }
+
+    if (this.check('{')) {
+      return [this.parseTable()];
+    }
+
+    this.expect('(');
+    const args = this.check(')') ? [] : this.parseExpressionList();
+    this.expect(')');
+    return args;
+  }
+
+  parseTable() {
+    const start = this.expect('{');
+    const fields = [];
+
+    while (!this.check('}')) {
+      const token = this.peek();
+
+      if (this.check('[')) {
+        this.next();
+        const key = this.parseExpression();
+        this.expect(']');
+        this.expect('=');
+        const value = this.parseExpression();
+        fields.push(this.finish({ type: 'TableKey', key, value }, token));
+      } else if (token.type === 'name' && this.peek(1).value === '=' && this.peek(1).type === 'symbol') {
+        this.next();
+        this.next();
+        const key = this.finish({ type: 'Identifier', name: token.value }, token);
+        const value = this.parseExpression();
+        fields.push(this.finish({ type: 'TableKeyString', key, value }, token));
+      } else if (this.check('.') && this.peek(1).type === 'name') {
+        // CfxLua set constructor: { .a, .b } is { a = true, b = true }
+        this.next();
+        const name = this.next();
+        const key = this.finish({ type: 'Identifier', name: name.value }, name);
+        const value = this.finish({ type: 'BooleanLiteral', value: true }, name);
+        fields.push(this.finish({ type: 'TableKeyString', key, value }, token));
+      } else {
+        const value = this.parseExpression();
+        fields.push(this.finish({ type: 'TableValue', value }, token));
+      }
+
+      if (!this.accept(',') && !this.accept(';')) break;
+    }
+
+    this.expect('}');
+    return this.finish({ type: 'TableConstructor', fields }, start);
+  }
+}
+
+/**
+ * Parse Lua source into a Chunk node
+ * @param {string} source
+ * @returns {Object}
+ */
+export function parseLua(source) {
+  return new LuaAstParser(source).parseChunk();
+}
+
+/**
+ * Parse a single Lua expression
+ * @param {string} source
+ * @returns {Object}
+ */
+export function parseLuaExpression(source) {
+  return new LuaAstParser(source).parseStandaloneExpression();
+}
+
+/**
+ * Walk every node of a syntax tree depth first
+ * The callback receives the node and its parent, returning false skips the node's children
+ * @param {Object} node - Node to start from
+ * @param {Function} callback
+ * @param {Object|null} parent
+ */
+export function walk(node, callback, parent = null) {
+  if (callback(node, parent) === false) return;
+
+  for (const key of Object.keys(node)) {
+    if (NON_CHILD_KEYS.has(key) || key === 'comments') continue;
+
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        if (item && typeof item === 'object') {
+          // If clauses are plain { condition, body } objects without a type
+          if (item.type) {
+            walk(item, callback, node);
+          } else {
+            walkClause(item, callback, node);
+          }
+        }
+      }
+    } else if (value && typeof value === 'object' && value.type) {
+      walk(value, callback, node);
+    }
+  }
+}
+
+/**
+ * Walk the children of an untyped helper object (if clauses)
+ * @param {Object} clause
+ * @param {Function} callback
+ * @param {Object} parent
+ */
+function walkClause(clause, callback, parent) {
+  for (const value of Object.values(clause)) {
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        if (item && item.type) walk(item, callback, parent);
+      }
+    } else if (value && value.type) {
+      walk(value, callback, parent);
+    }
+  }
+}
+
+/**
+ * Get the source text a node was parsed from
+ * @param {string} source
+ * @param {Object} node
+ * @returns {string}
+ */
+export function nodeSource(source, node) {
+  return source.substring(node.start, node.end);
+}
+
+/**
+ * Get the dotted name of an Identifier or MemberExpression chain, e.g. `Player.Functions.GetMoney`
+ * @param {Object} node
+ * @returns {string|null} The name, or null if the expression isn't a plain name chain
+ */
+export function qualifiedName(node) {
+  if (!node) return null;
+
+  if (node.type === 'Identifier') {
+    return node.name;
+  }
+
+  if (node.type === 'MemberExpression') {
+    const base = qualifiedName(node.base);
+    return base ? `${base}${node.indexer}${node.identifier.name}` : null;
+  }
+
+  return null;
+}
@@ -0,0 +1,407 @@
+/**
+ * Reserved words of Lua 5.4
+ */
+const KEYWORDS = new Set([
+  'and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for', 'function', 'goto', 'if', 'in',
+  'local', 'nil', 'not', 'or', 'repeat', 'return', 'then', 'true', 'until', 'while'
+]);
+
+/**
+ * Symbols ordered longest first so the lexer always takes the longest match
+ * Includes the CfxLua extensions: compound assignment, safe navigation and `!=`
+ */
+const SYMBOLS = [
+  '...', '<<=', '>>=', '//=', '..=',
+  '..', '==', '~=', '!=', '<=', '>=', '<<', '>>', '//', '::',
+  '+=', '-=', '*=', '/=', '%=', '^=', '&=', '|=',
+  '?.', '?[', '?:',
+  '+', '-', '*', '/', '%', '^', '#', '&', '~', '|', '<', '>', '=',
+  '(', ')', '{', '}', '[', ']', ';', ':', ',', '.'
+];
+
+const HEX_NUMBER = /0[xX][0-9a-fA-F]*\.?[0-9a-fA-F]*(?:[pP][+-]?\d+)?/y;
+const DECIMAL_NUMBER = /\d*\.?\d*(?:[eE][+-]?\d+)?/y;
+
+const ESCAPES = {
+  a: '\x07',
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  v: '\v',
+  '\\': '\\',
+  '"': '"',
+  "'": "'",
+  '\n': '\n'
+};
+
+/**
+ * Error thrown when Lua source can't be tokenized or parsed
+ */
+export class LuaSyntaxError extends Error {
+  constructor(message, line) {
+    super(`${message} (line ${line})`);
+    this.name = 'LuaSyntaxError';
+    this.line = line;
+  }
+}
+
+/**
+ * Splits Lua 5.4 / CfxLua source into tokens, keeping comments aside for documentation lookups
+ */
+export class LuaLexer {
+  constructor(source) {
+    this.source = source;
+    this.index = 0;
+    this.line = 1;
+    this.tokens = [];
+    this.comments = [];
+  }
+
+  /**
+   * Tokenize the whole source
+   * @returns {Object} Object containing tokens and comments arrays
+   */
+  tokenize() {
+    // Skip a shebang line, Lua ignores it too
+    if (this.source.startsWith('#')) {
+      this.skipLine();
+    }
+
+    while (true) {
+      this.skipWhitespace();
+
+      if (this.index >= this.source.length) {
+        this.tokens.push({ type: 'eof', value: '<eof>', line: this.line, start: this.index, end: this.index });
+        break;
+      }
+
+      if (this.source.startsWith('--', this.index) || this.source.startsWith('/*', this.index)) {
+        this.readComment();
+        continue;
+      }
+
+      this.tokens.push(this.readToken());
+    }
+
+    return { tokens: this.tokens, comments: this.comments };
+  }
+
+  /**
+   * Read the token starting at the current position
+   * @returns {Object}
+   */
+  readToken() {
+    const char = this.source[this.index];
+    const next = this.source[this.index + 1];
+
+    if (/[A-Za-z_]/.test(char)) {
+      return this.readName();
+    }
+
+    if (/\d/.test(char) || (char === '.' && /\d/.test(next))) {
+      return this.readNumber();
+    }
+
+    if (char === '"' || char === "'") {
+      return this.readString(char);
+    }
+
+    if (char === '`') {
+      return this.readHash();
+    }
+
+    if (char === '[') {
+      const level = this.longBracketLevel();
+      if (level !== -1) {
+        const start = this.index;
+        const line = this.line;
+        const value = this.readLongBracket(level);
+        return { type: 'string', value, line, start, end: this.index };
+      }
+    }
+
+    for (const symbol of SYMBOLS) {
+      if (this.source.startsWith(symbol, this.index)) {
+        const start = this.index;
+        this.index += symbol.length;
+        return { type: 'symbol', value: symbol, line: this.line, start, end: this.index };
+      }
+    }
+
+    throw new LuaSyntaxError(`Unexpected character '${char}'`, this.line);
+  }
+
+  /**
+   * Skip whitespace, tracking line numbers
+   */
+  skipWhitespace() {
+    while (this.index < this.source.length) {
+      const char = this.source[this.index];
+
+      if (char === '\n') {
+        this.line++;
+      } else if (char === '\r') {
+        // \r\n counts as a single line break
+        if (this.source[this.index + 1] !== '\n') {
+          this.line++;
+        }
+      } else if (char !== ' ' && char !== '\t' && char !== '\f' && char !== '\v') {
+        break;
+      }
+
+      this.index++;
+    }
+  }
+
+  /**
+   * Skip to the end of the current line
+   */
+  skipLine() {
+    while (this.index < this.source.length && this.source[this.index] !== '\n' && this.source[this.index] !== '\r') {
+      this.index++;
+    }
+  }
+
+  /**
+   * Read a line comment, a long bracket comment or a C-style block comment
+   */
+  readComment() {
+    const start = this.index;
+    const line = this.line;
+    let value;
+    let block = true;
+
+    if (this.source.startsWith('/*', this.index)) {
+      const end = this.source.indexOf('*/', this.index + 2);
+      if (end === -1) {
+        throw new LuaSyntaxError('Unfinished block comment', line);
+      }
+
+      value = this.source.substring(this.index + 2, end);
+      this.countLines(value);
+      this.index = end + 2;
+    } else {
+      this.index += 2;
+      const level = this.source[this.index] === '[' ? this.longBracketLevel() : -1;
+
+      if (level !== -1) {
+        value = this.readLongBracket(level);
+      } else {
+        const contentStart = this.index;
+        this.skipLine();
+        value = this.source.substring(contentStart, this.index);
+        block = false;
+      }
+    }
+
+    this.comments.push({
+      value,
+      raw: this.source.substring(start, this.index),
+      block,
+      line,
+      endLine: this.line,
+      start,
+      end: this.index
+    });
+  }
+
+  /**
+   * Read a name or keyword
+   * @returns {Object}
+   */
+  readName() {
+    const start = this.index;
+    while (this.index < this.source.length && /\w/.test(this.source[this.index])) {
+      this.index++;
+    }
+
+    const value = this.source.substring(start, this.index);
+    const type = KEYWORDS.has(value) ? 'keyword' : 'name';
+    return { type, value, line: this.line, start, end: this.index };
+  }
+
+  /**
+   * Read a decimal or hexadecimal number literal
+   * @returns {Object}
+   */
+  readNumber() {
+    const start = this.index;
+    const isHex = /^0[xX]/.test(this.source.substring(this.index, this.index + 2));
+    const pattern = isHex ? HEX_NUMBER : DECIMAL_NUMBER;
+    pattern.lastIndex = this.index;
+    const match = pattern.exec(this.source);
+
+    const raw = match[0];
+    this.index += raw.length;
+
+    if (/[A-Za-z_]/.test(this.source[this.index] || '')) {
+      throw new LuaSyntaxError(`Malformed number near '${raw}${this.source[this.index]}'`, this.line);
+    }
+
+    let value;
+    if (/^0[xX]/.test(raw)) {
+      const [mantissa, exponent] = raw.substring(2).split(/[pP]/);
+      const [whole, fraction = ''] = mantissa.split('.');
+      value = parseInt(whole || '0', 16) + (fraction ? parseInt(fraction, 16) / Math.pow(16, fraction.length) : 0);
+      if (exponent) {
+        value *= Math.pow(2, parseInt(exponent, 10));
+      }
+    } else {
+      value = Number(raw);
+    }
+
+    return { type: 'number', value, raw, line: this.line, start, end: this.index };
+  }
+
+  /**
+   * Read a quoted string literal, decoding escape sequences
+   * @param {string} quote - The opening quote character
+   * @returns {Object}
+   */
+  readString(quote) {
+    const start = this.index;
+    const line = this.line;
+    let value = '';
+    this.index++;
+
+    while (true) {
+      if (this.index >= this.source.length) {
+        throw new LuaSyntaxError('Unfinished string', line);
+      }
+
+      const char = this.source[this.index];
+
+      if (char === quote) {
+        this.index++;
+        break;
+      }
+
+      if (char === '\n' || char === '\r') {
+        throw new LuaSyntaxError('Unfinished string', line);
+      }
+
+      if (char === '\\') {
+        value += this.readEscape();
+        continue;
+      }
+
+      value += char;
+      this.index++;
+    }
+
+    return { type: 'string', value, line, start, end: this.index };
+  }
+
+  /**
+   * Read an escape sequence inside a quoted string
+   * @returns {string} The decoded characters
+   */
+  readEscape() {
+    const char = this.source[this.index + 1];
+    this.index += 2;
+
+    if (char in ESCAPES) {
+      if (char === '\n') this.line++;
+      return ESCAPES[char];
+    }
+
+    if (char === '\r') {
+      if (this.source[this.index] === '\n') this.index++;
+      this.line++;
+      return '\n';
+    }
+
+    // \z skips the following whitespace, including line breaks
+    if (char === 'z') {
+      this.skipWhitespace();
+      return '';
+    }
+
+    if (char === 'x') {
+      const hex = this.source.substring(this.index, this.index + 2);
+      this.index += 2;
+      return String.fromCharCode(parseInt(hex, 16));
+    }
+
+    if (char === 'u') {
+      const end = this.source.indexOf('}', this.index);
+      const codePoint = parseInt(this.source.substring(this.index + 1, end), 16);
+      this.index = end + 1;
+      return String.fromCodePoint(codePoint);
+    }
+
+    if (/\d/.test(char)) {
+      const digits = this.source.substring(this.index - 1).match(/^\d{1,3}/)[0];
+      this.index += digits.length - 1;
+      return String.fromCharCode(parseInt(digits, 10));
+    }
+
+    throw new LuaSyntaxError(`Invalid escape sequence '\\${char}'`, this.line);
+  }
+
+  /**
+   * Read a CfxLua backtick hash literal, e.g. `WEAPON_PISTOL`
+   * @returns {Object}
+   */
+  readHash() {
+    const start = this.index;
+    const end = this.source.indexOf('`', this.index + 1);
+    if (end === -1) {
+      throw new LuaSyntaxError('Unfinished hash literal', this.line);
+    }
+
+    const value = this.source.substring(this.index + 1, end);
+    this.index = end + 1;
+    return { type: 'hash', value, line: this.line, start, end: this.index };
+  }
+
+  /**
+   * Get the level of the long bracket at the current position ([[ is 0, [==[ is 2)
+   * @returns {number} The level, or -1 if there is no long bracket here
+   */
+  longBracketLevel() {
+    const match = this.source.substring(this.index, this.index + 256).match(/^\[(=*)\[/);
+    return match ? match[1].length : -1;
+  }
+
+  /**
+   * Read a long bracket string or comment body
+   * @param {number} level - The long bracket level
+   * @returns {string} The content between the brackets
+   */
+  readLongBracket(level) {
+    const line = this.line;
+    const close = `]${'='.repeat(level)}]`;
+    let contentStart = this.index + level + 2;
+
+    const end = this.source.indexOf(close, contentStart);
+    if (end === -1) {
+      throw new LuaSyntaxError('Unfinished long string or comment', line);
+    }
+
+    // A line break directly after the opening bracket is not part of the content
+    if (this.source.startsWith('\r\n', contentStart)) {
+      contentStart += 2;
+    } else if (this.source[contentStart] === '\n' || this.source[contentStart] === '\r') {
+      contentStart++;
+    }
+
+    this.countLines(this.source.substring(this.index, end));
+    this.index = end + close.length;
+
+    return this.source.substring(contentStart, end);
+  }
+
+  /**
+   * Advance the line counter by the number of line breaks in text
+   * @param {string} text
+   */
+  countLines(text) {
+    const breaks = text.match(/\r\n|\r|\n/g);
+    if (breaks) {
+      this.line += breaks.length;
+    }
+  }
+}
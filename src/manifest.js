@@ -0,0 +1,332 @@
+import fs from 'fs';
+import path from 'path';
+import { glob, globSync, escape } from 'glob';
+import { parseLua, walk } from './lua_ast.js';
+
+/**
+ * Manifest file names recognised as a resource root, in order of preference
+ */
+export const MANIFEST_FILES = ['fxmanifest.lua', '__resource.lua'];
+
+/**
+ * Manifest directives that load scripts, mapped to the context they load them in
+ */
+const SCRIPT_DIRECTIVES = {
+  client_script: 'client',
+  client_scripts: 'client',
+  server_script: 'server',
+  server_scripts: 'server',
+  shared_script: 'shared',
+  shared_scripts: 'shared'
+};
+
+/**
+ * Extensions of the scripts a manifest can load
+ */
+const SCRIPT_EXTENSIONS = ['.lua', '.js'];
+
+/**
+ * Manifest directives that list files without loading them as scripts
+ */
+const FILE_DIRECTIVES = ['file', 'files'];
+
+/**
+ * Normalize a path so it can be used as a lookup key
+ * @param {string} filePath
+ * @returns {string}
+ */
+function normalizePath(filePath) {
+  const resolved = path.resolve(filePath);
+  return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+}
+
+/**
+ * Reads every resource's fxmanifest.lua to find out which context(s) each script is loaded in
+ */
+export class ManifestIndex {
+  /**
+   * @param {string|Array} inputDirs - Directory or directories holding the resources
+   */
+  constructor(inputDirs) {
+    this.inputDirs = (Array.isArray(inputDirs) ? inputDirs : [inputDirs]).map(dir => path.resolve(dir));
+    this.resources = new Map(); // Map of resource name to { name, dir, manifestPath, broken, bundled }
+    this.resourceDirs = new Map(); // Map of normalized resource dir to resource name
+    this.fileContexts = new Map(); // Map of normalized file path to Set of contexts
+    this.listedFiles = new Set(); // Normalized paths listed by a manifest without being loaded as scripts
+    this.directoryResources = new Map(); // Map of normalized directory to the resource it is in, filled by getResourceName
+    this.errors = []; // Array of { filePath, line, message } of the manifests that couldn't be parsed
+  }
+
+  /**
+   * Rebuild an index from the data of another one, e.g. in a worker thread
+   * @param {Object} data - From toData
+   * @returns {ManifestIndex}
+   */
+  static fromData(data) {
+    const index = new ManifestIndex(data.inputDirs);
+    index.resources = data.resources;
+    index.resourceDirs = data.resourceDirs;
+    index.fileContexts = data.fileContexts;
+    index.listedFiles = data.listedFiles;
+    index.errors = data.errors;
+    return index;
+  }
+
+  /**
+   * Get what the index read from the manifests, as data that can be passed to a worker thread
+   * @returns {Object}
+   */
+  toData() {
+    return {
+      inputDirs: this.inputDirs,
+      resources: this.resources,
+      resourceDirs: this.resourceDirs,
+      fileContexts: this.fileContexts,
+      listedFiles: this.listedFiles,
+      errors: this.errors
+    };
+  }
+
+  /**
+   * Find and parse every manifest in the input directory
+   * @param {Array} excludePatterns - Glob patterns to skip
+   * @returns {Promise<ManifestIndex>}
+   */
+  async load(excludePatterns = []) {
+    const manifests = [];
+    for (const inputDir of this.inputDirs) {
+      manifests.push(...await glob(`**/{${MANIFEST_FILES.join(',')}}`, {
+        cwd: inputDir,
+        ignore: excludePatterns,
+        absolute: true
+      }));
+    }
+
+    // Register every resource first so @resource/file references can be resolved
+    for (const manifestPath of manifests) {
+      const dir = path.dirname(manifestPath);
+      const name = path.basename(dir);
+      const existing = this.resources.get(name);
+
+      // fxmanifest.lua wins over __resource.lua when a resource has both
+      if (existing && existing.dir === dir && path.basename(existing.manifestPath) === MANIFEST_FILES[0]) {
+        continue;
+      }
+
+      this.resources.set(name, { name, dir, manifestPath });
+      this.resourceDirs.set(normalizePath(dir), name);
+    }
+
+    // A manifest that can't be parsed says nothing about its scripts, their contexts fall back to the paths
+    for (const resource of this.resources.values()) {
+      try {
+        const content = fs.readFileSync(resource.manifestPath, 'utf-8');
+        this.addManifest(resource, content);
+      } catch (error) {
+        resource.broken = true;
+        this.errors.push({ filePath: resource.manifestPath, line: error.line || 1, message: error.message });
+      }
+    }
+
+    this.markBundledResources(excludePatterns);
+
+    return this;
+  }
+
+  /**
+   * Mark the resources that run bundled JavaScript: their manifest loads JavaScript files, but the scan skips all of
+   * them (the build output, e.g. excluded with **\/dist/**), and the sources the bundle is built from aren't mentioned
+   * @param {Array} excludePatterns - Glob patterns the scan skips
+   */
+  markBundledResources(excludePatterns) {
+    const loadedScripts = new Map(); // Map of resource name to the JavaScript files its manifest loads
+
+    for (const key of this.fileContexts.keys()) {
+      const name = path.extname(key) === '.js' ? this.getResourceName(key) : null;
+      if (!name) continue;
+
+      if (!loadedScripts.has(name)) loadedScripts.set(name, []);
+      loadedScripts.get(name).push(key);
+    }
+
+    for (const [name, files] of loadedScripts) {
+      const scanned = this.inputDirs.some(inputDir => {
+        const patterns = files
+          .map(filePath => path.relative(inputDir, filePath))
+          .filter(relativePath => !relativePath.startsWith('..') && !path.isAbsolute(relativePath))
+          .map(relativePath => escape(relativePath.split(path.sep).join('/')));
+
+        return patterns.length > 0 && globSync(patterns, { cwd: inputDir, ignore: excludePatterns, nodir: true }).length > 0;
+      });
+
+      this.resources.get(name).bundled = !scanned;
+    }
+  }
+
+  /**
+   * Register the files a manifest loads
+   * @param {Object} resource - Resource the manifest belongs to
+   * @param {string} content - The manifest file content
+   */
+  addManifest(resource, content) {
+    for (const { directive, entries } of this.parseManifest(content)) {
+      const context = SCRIPT_DIRECTIVES[directive];
+
+      for (const entry of entries) {
+        for (const filePath of this.resolveEntry(resource, entry)) {
+          const key = normalizePath(filePath);
+
+          if (context) {
+            if (!this.fileContexts.has(key)) {
+              this.fileContexts.set(key, new Set());
+            }
+            this.fileContexts.get(key).add(context);
+          } else {
+            this.listedFiles.add(key);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Extract script and file directives from manifest content
+   * @param {string} content - The manifest file content
+   * @returns {Array} Array of { directive, entries }
+   */
+  parseManifest(content) {
+    const directives = [];
+    const names = new Set([...Object.keys(SCRIPT_DIRECTIVES), ...FILE_DIRECTIVES]);
+
+    // Directives are calls like client_scripts { ... }, server_script 'file.lua' or files({ ... })
+    walk(parseLua(content), node => {
+      if (node.type !== 'CallExpression' || node.base.type !== 'Identifier' || !names.has(node.base.name)) {
+        return;
+      }
+
+      const entries = [];
+      for (const argument of node.arguments) {
+        if (argument.type === 'StringLiteral') {
+          entries.push(argument.value);
+        } else if (argument.type === 'TableConstructor') {
+          for (const field of argument.fields) {
+            if (field.type === 'TableValue' && field.value.type === 'StringLiteral') {
+              entries.push(field.value.value);
+            }
+          }
+        }
+      }
+
+      directives.push({ directive: node.base.name, entries });
+    });
+
+    return directives;
+  }
+
+  /**
+   * Resolve a manifest entry (plain path, glob pattern or @resource/file reference) to file paths
+   * @param {Object} resource - Resource the manifest belongs to
+   * @param {string} entry - The manifest entry
+   * @returns {Array} Array of absolute file paths
+   */
+  resolveEntry(resource, entry) {
+    let baseDir = resource.dir;
+    let pattern = entry.replace(/\\/g, '/');
+
+    if (pattern.startsWith('@')) {
+      const slash = pattern.indexOf('/');
+      if (slash === -1) return [];
+
+      const target = this.resources.get(pattern.substring(1, slash));
+      if (!target) return [];
+
+      baseDir = target.dir;
+      pattern = pattern.substring(slash + 1);
+    }
+
+    // Only Lua and JavaScript scripts are of interest, and URLs (ui_page style entries) can't be resolved
+    if (!SCRIPT_EXTENSIONS.some(extension => pattern.endsWith(extension)) && !pattern.endsWith('*')) return [];
+
+    return globSync(pattern, { cwd: baseDir, absolute: true, nodir: true })
+      .filter(filePath => SCRIPT_EXTENSIONS.includes(path.extname(filePath)));
+  }
+
+  /**
+   * Find the resource a file belongs to by walking up to the nearest manifest
+   * @param {string} filePath
+   * @returns {string|null} Resource name, or null if the file isn't inside a resource
+   */
+  getResourceName(filePath) {
+    const dir = normalizePath(path.dirname(filePath));
+    if (this.directoryResources.has(dir)) return this.directoryResources.get(dir);
+
+    const inputDirs = this.inputDirs.map(normalizePath);
+    const visited = [];
+    let currentDir = dir;
+    let name = null;
+
+    while (inputDirs.some(inputDir => currentDir.startsWith(inputDir))) {
+      // Every directory on the way up is in the same resource, or in none
+      if (this.directoryResources.has(currentDir)) {
+        name = this.directoryResources.get(currentDir);
+        break;
+      }
+      visited.push(currentDir);
+
+      name = this.resourceDirs.get(currentDir) || null;
+      if (name) break;
+
+      const parentDir = path.dirname(currentDir);
+      if (parentDir === currentDir) break;
+      currentDir = parentDir;
+    }
+
+    for (const visitedDir of visited) {
+      this.directoryResources.set(visitedDir, name);
+    }
+
+    return name;
+  }
+
+  /**
+   * Get the context a file is loaded in according to the manifests
+   * Files loaded on both sides (shared_scripts, or both client and server lists) are shared
+   * @param {string} filePath
+   * @returns {string|null} client/server/shared, or null if no manifest loads the file
+   */
+  getContext(filePath) {
+    const contexts = this.fileContexts.get(normalizePath(filePath));
+    if (!contexts) return null;
+
+    if (contexts.has('shared') || (contexts.has('client') && contexts.has('server'))) {
+      return 'shared';
+    }
+
+    return contexts.has('client') ? 'client' : 'server';
+  }
+
+  /**
+   * Check whether a file sits inside a resource that runs bundled JavaScript, see markBundledResources
+   * @param {string} filePath
+   * @returns {boolean}
+   */
+  isBundled(filePath) {
+    const name = this.getResourceName(filePath);
+    return name !== null && this.resources.get(name)?.bundled === true;
+  }
+
+  /**
+   * Check whether a file sits inside a resource whose manifest never mentions it
+   * Files listed under files {...} are mentioned (they are usually loaded with require), and files outside
+   * any resource or in one whose manifest couldn't be parsed have no manifest to go by, so neither count as unloaded
+   * @param {string} filePath
+   * @returns {boolean}
+   */
+  isUnloaded(filePath) {
+    const key = normalizePath(filePath);
+    if (this.fileContexts.has(key) || this.listedFiles.has(key)) return false;
+
+    const name = this.getResourceName(filePath);
+    return name !== null && !this.resources.get(name)?.broken;
+  }
+}
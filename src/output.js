@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * Name of the file in the output directory that lists every file the generator wrote
+ */
+export const OUTPUT_MANIFEST_FILE = '.generated.json';
+
+/**
+ * Version of the output manifest, older or newer manifests are ignored
+ */
+const OUTPUT_MANIFEST_VERSION = 1;
+
+/**
+ * Hash file content, to tell whether a generated file was edited since it was written or a source file changed
+ * @param {string} content
+ * @returns {string}
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Writes generated files and keeps a manifest of them in the output directory, so files that are no longer
+ * generated (a removed resource, a resource without client exports anymore) are removed on the next run
+ * Files the generator didn't write, or that were edited after it wrote them, are never removed
+ */
+export class OutputWriter {
+  /**
+   * @param {string} outputDir - Directory holding the manifest, paths in it are relative to this directory
+   */
+  constructor(outputDir) {
+    this.outputDir = path.resolve(outputDir);
+    this.manifestPath = path.join(this.outputDir, OUTPUT_MANIFEST_FILE);
+    this.previous = new Map(); // Map of file path to the hash it was written with, from the last commit
+    this.current = new Map(); // Map of file path to { hash, dir } of the files generated since
+  }
+
+  /**
+   * Read the manifest of the previous run
+   * @returns {OutputWriter} this
+   */
+  load() {
+    this.previous = new Map();
+
+    try {
+      const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf-8'));
+      if (manifest.version !== OUTPUT_MANIFEST_VERSION) return this;
+
+      for (const [file, hash] of Object.entries(manifest.files || {})) {
+        this.previous.set(path.resolve(this.outputDir, file), hash);
+      }
+    } catch (error) {
+      // No manifest yet (first run, or output written by an older version), nothing is pruned
+      if (error.code !== 'ENOENT') {
+        logger.error(`  ✗ Could not read ${this.manifestPath}, stale files are kept: ${error.message}`);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Write the generated files of a directory, replacing what was generated for it before
+   * Files that were written with the same content since the writer was created are skipped
+   * @param {string} dir
+   * @param {Object} files - Map of filename (may contain subdirectories) to content
+   */
+  write(dir, files) {
+    const resolvedDir = path.resolve(dir);
+    const written = new Map(); // Map of file path to the hash it was written with since the writer was created
+
+    for (const [filePath, entry] of this.current) {
+      if (entry.dir !== resolvedDir) continue;
+
+      written.set(filePath, entry.hash);
+      this.current.delete(filePath);
+    }
+
+    for (const [filename, content] of Object.entries(files)) {
+      const outputPath = path.join(resolvedDir, filename);
+      const hash = hashContent(content);
+      this.current.set(outputPath, { hash, dir: resolvedDir });
+
+      if (written.get(outputPath) === hash && fs.existsSync(outputPath)) continue;
+
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, content, 'utf-8');
+      logger.info(`  ✓ Generated: ${path.join(dir, filename)}`);
+    }
+  }
+
+  /**
+   * Write the whole output directory, see Workspace.generateFiles
+   * The files of each subdirectory (a resource, _internal) and the files at the top are written like separate
+   * directories, so the watcher can later replace the files of a single resource
+   * @param {string} dir
+   * @param {Object} files - Map of file path (relative to dir) to content
+   */
+  writeTree(dir, files) {
+    const directories = new Map(); // Map of directory to the files written to it
+
+    for (const [filename, content] of Object.entries(files)) {
+      const separator = filename.indexOf('/');
+      const [subdirectory, name] = separator === -1 ? ['', filename] : [filename.substring(0, separator), filename.substring(separator + 1)];
+
+      if (!directories.has(subdirectory)) directories.set(subdirectory, {});
+      directories.get(subdirectory)[name] = content;
+    }
+
+    for (const [subdirectory, directoryFiles] of directories) {
+      this.write(path.join(dir, subdirectory), directoryFiles);
+    }
+  }
+
+  /**
+   * Remove the files of the previous commit that weren't generated since, then save the manifest
+   * @returns {Array} Paths of the removed files
+   */
+  commit() {
+    const removed = [];
+
+    for (const [filePath, hash] of this.previous) {
+      if (this.current.has(filePath) || !fs.existsSync(filePath)) continue;
+
+      if (hashContent(fs.readFileSync(filePath, 'utf-8')) !== hash) {
+        logger.info(`  ⚠️  Kept ${filePath}, it is no longer generated but was edited`);
+        continue;
+      }
+
+      fs.unlinkSync(filePath);
+      removed.push(filePath);
+      logger.info(`  ✗ Removed: ${filePath}`);
+
+      this.removeEmptyDirectories(path.dirname(filePath));
+    }
+
+    this.previous = new Map([...this.current].map(([filePath, { hash }]) => [filePath, hash]));
+    this.save();
+
+    return removed;
+  }
+
+  /**
+   * Remove a directory left empty by pruning, and its parents up to the output directory
+   * Directories holding anything, generated or not, and directories outside the output directory are left alone
+   * @param {string} dirPath
+   */
+  removeEmptyDirectories(dirPath) {
+    const stopAt = new Set([...this.current.values()].map(entry => entry.dir));
+
+    while (dirPath.startsWith(this.outputDir + path.sep) && !stopAt.has(dirPath) &&
+      fs.existsSync(dirPath) && fs.readdirSync(dirPath).length === 0) {
+      fs.rmdirSync(dirPath);
+      dirPath = path.dirname(dirPath);
+    }
+  }
+
+  /**
+   * Write the manifest of the files generated so far, or remove it when there are none
+   */
+  save() {
+    if (this.previous.size === 0) {
+      if (fs.existsSync(this.manifestPath)) fs.unlinkSync(this.manifestPath);
+      return;
+    }
+
+    const files = {};
+    for (const filePath of [...this.previous.keys()].sort()) {
+      files[path.relative(this.outputDir, filePath).split(path.sep).join('/')] = this.previous.get(filePath);
+    }
+
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    fs.writeFileSync(this.manifestPath, JSON.stringify({ version: OUTPUT_MANIFEST_VERSION, files }, null, 2) + '\n', 'utf-8');
+  }
+}
@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { hashContent } from './output.js';
+
+/**
+ * Name of the cache file the command line tool keeps in the output directory
+ */
+export const PARSE_CACHE_FILE = '.parse-cache.json';
+
+/**
+ * Version of the cache file, older or newer caches are ignored
+ */
+const PARSE_CACHE_VERSION = 1;
+
+/**
+ * Parse result fields that come from the content of a file, the others depend on the manifests
+ */
+const PARSED_FIELDS = [
+  'exports', 'exportTables', 'globalStates', 'playerStates', 'localPlayerStates', 'entityStates',
+  'events', 'callbacks', 'typeDefinitions', 'functionDefinitions'
+];
+
+/**
+ * Hash of the generator's own source, so results cached by another version of the parser are never used
+ */
+let sourceHash = null;
+
+/**
+ * Get the hash of the generator's own source
+ * @returns {string}
+ */
+function getSourceHash() {
+  if (!sourceHash) {
+    const dir = path.dirname(fileURLToPath(import.meta.url));
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+    sourceHash = hashContent(files.map(file => fs.readFileSync(path.join(dir, file), 'utf-8')).join('\0'));
+  }
+
+  return sourceHash;
+}
+
+/**
+ * JSON replacer keeping Maps (the fields of table shapes) and Sets
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+function replacer(key, value) {
+  if (value instanceof Map) return { $map: [...value] };
+  if (value instanceof Set) return { $set: [...value] };
+  return value;
+}
+
+/**
+ * JSON reviver restoring what replacer kept
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+function reviver(key, value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (Array.isArray(value.$map)) return new Map(value.$map);
+    if (Array.isArray(value.$set)) return new Set(value.$set);
+  }
+  return value;
+}
+
+/**
+ * Keeps the parse results of every file on disk, keyed by the hash of the file content,
+ * so a run only parses the files that changed since the previous one
+ * Files that failed to parse are not cached, their error is reported again on the next run
+ */
+export class ParseCache {
+  /**
+   * @param {string} cacheFile
+   * @param {Array} exportHelpers - The exportHelpers option, results parsed with other helpers are not reused
+   */
+  constructor(cacheFile, exportHelpers = []) {
+    this.cacheFile = path.resolve(cacheFile);
+    this.key = hashContent(`${getSourceHash()}\0${JSON.stringify(exportHelpers)}`);
+    this.previous = new Map(); // Map of file path to { hash, context, result } read from the cache file
+    this.current = new Map(); // Map of file path to the entries used or added since
+  }
+
+  /**
+   * Read the cache file, a missing, unreadable or outdated cache is treated as empty
+   * @returns {ParseCache} this
+   */
+  load() {
+    this.previous = new Map();
+
+    try {
+      const cache = JSON.parse(fs.readFileSync(this.cacheFile, 'utf-8'), reviver);
+      if (cache.version !== PARSE_CACHE_VERSION || cache.key !== this.key) return this;
+
+      this.previous = new Map(Object.entries(cache.files || {}));
+    } catch {
+      // Every file is parsed again
+    }
+
+    return this;
+  }
+
+  /**
+   * Get the cached parse result of a file
+   * @param {string} filePath
+   * @param {string} hash - Hash of the current content, see hashContent in output.js
+   * @param {string} context - Context the file is loaded in now, the parse results depend on it
+   * @returns {Object|null} The parsed fields of the result, or null when the file changed or isn't cached
+   */
+  get(filePath, hash, context) {
+    const entry = this.previous.get(filePath);
+    if (!entry || entry.hash !== hash || entry.context !== context) return null;
+
+    this.current.set(filePath, entry);
+    return entry.result;
+  }
+
+  /**
+   * Cache the parse result of a file
+   * @param {Object} result - Parse result, see Workspace.parseFile
+   * @param {string} hash - Hash of the content it was parsed from
+   */
+  set(result, hash) {
+    if (result.error) return;
+
+    const parsed = {};
+    for (const field of PARSED_FIELDS) {
+      parsed[field] = result[field];
+    }
+
+    this.current.set(result.filePath, { hash, context: result.context, result: parsed });
+  }
+
+  /**
+   * Write the entries used or added since the cache was loaded, dropping the files that weren't seen
+   */
+  save() {
+    const files = Object.fromEntries(this.current);
+
+    fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+    fs.writeFileSync(this.cacheFile, JSON.stringify({ version: PARSE_CACHE_VERSION, key: this.key, files }, replacer), 'utf-8');
+  }
+}
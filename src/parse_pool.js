@@ -0,0 +1,119 @@
+import os from 'os';
+import { Worker } from 'worker_threads';
+
+/**
+ * Files sent to a worker at once, a worker asks for the next batch when it is done
+ */
+const BATCH_SIZE = 25;
+
+/**
+ * Fewer files than this per worker aren't worth starting the worker for
+ */
+export const MIN_FILES_PER_WORKER = 100;
+
+/**
+ * Number of worker threads used when the workers option isn't set, leaving a core for the main thread
+ * @returns {number}
+ */
+export function getDefaultWorkerCount() {
+  return Math.max(os.cpus().length - 1, 0);
+}
+
+/**
+ * Parse the content of a source file into its parse result, shared by the main thread and the workers
+ * JavaScript and TypeScript files are only scanned for exports
+ * @param {Object} result - Parse result with filePath and empty arrays, see Workspace.createResult
+ * @param {string} content
+ * @param {LuaParser} parser
+ * @param {JsParser} jsParser
+ * @returns {Object} The result, with the error set when the file couldn't be parsed
+ */
+export function parseSource(result, content, parser, jsParser) {
+  const { filePath } = result;
+
+  try {
+    if (!filePath.endsWith('.lua')) {
+      result.exports = jsParser.parse(content, filePath);
+      return result;
+    }
+
+    result.exports = parser.parse(content, filePath);
+    result.exportTables = parser.exportTables;
+    result.globalStates = parser.parseGlobalStates(content, filePath);
+
+    const playerStatesResult = parser.parsePlayerStates(content, filePath);
+    result.playerStates = playerStatesResult.playerStates;
+    result.localPlayerStates = playerStatesResult.localPlayerStates;
+    result.entityStates = parser.parseEntityStates(content, filePath);
+    result.events = parser.parseEvents(content, filePath);
+    result.callbacks = parser.parseCallbacks(content, filePath);
+    result.typeDefinitions = parser.parseTypeDefinitions(content, filePath);
+    result.functionDefinitions = parser.parseFunctionDefinitions(content, filePath);
+  } catch (error) {
+    result.error = error;
+  }
+
+  return result;
+}
+
+/**
+ * Parses source files on worker threads, see parse_worker.js
+ * The workers only live for one parse call
+ */
+export class ParsePool {
+  /**
+   * @param {number} size - Number of workers
+   * @param {Object} options - { manifests, exportHelpers }, manifests being ManifestIndex.toData()
+   */
+  constructor(size, options) {
+    this.size = size;
+    this.options = options;
+  }
+
+  /**
+   * Parse files
+   * @param {Array} tasks - Array of { result, content }, result as for parseSource
+   * @returns {Promise<Array>} Parse results in the order of the tasks, errors become { name, message, line }
+   */
+  async parse(tasks) {
+    const results = new Array(tasks.length);
+    const workers = [];
+    let next = 0;
+
+    const run = worker => new Promise((resolve, reject) => {
+      const sendBatch = () => {
+        if (next >= tasks.length) {
+          resolve();
+          return;
+        }
+
+        const start = next;
+        next += BATCH_SIZE;
+        worker.postMessage({ start, tasks: tasks.slice(start, next) });
+      };
+
+      worker.on('message', ({ start, results: parsed }) => {
+        parsed.forEach((result, index) => {
+          results[start + index] = result;
+        });
+        sendBatch();
+      });
+      worker.on('error', reject);
+      worker.on('exit', code => reject(new Error(`Parse worker stopped with exit code ${code}`)));
+
+      sendBatch();
+    });
+
+    try {
+      for (let index = 0; index < this.size; index++) {
+        workers.push(new Worker(new URL('./parse_worker.js', import.meta.url), { workerData: this.options }));
+      }
+
+      await Promise.all(workers.map(run));
+    } finally {
+      await Promise.all(workers.map(worker => worker.terminate()));
+    }
+
+    return results;
+  }
+}
@@ -0,0 +1,24 @@
+import { parentPort, workerData } from 'worker_threads';
+import { ManifestIndex } from './manifest.js';
+import { LuaParser } from './parser.js';
+import { JsParser } from './js_parser.js';
+import { parseSource } from './parse_pool.js';
+
+// Worker thread of ParsePool, parses the batches of files it is sent with the manifests of the main thread
+const manifests = ManifestIndex.fromData(workerData.manifests);
+const parser = new LuaParser({ manifests, exportHelpers: workerData.exportHelpers });
+const jsParser = new JsParser({ manifests });
+
+parentPort.on('message', ({ start, tasks }) => {
+  const results = tasks.map(({ result, content }) => {
+    parseSource(result, content, parser, jsParser);
+
+    // Errors lose their own properties (the line of a syntax error) when sent to the main thread
+    if (result.error) {
+      result.error = { name: result.error.name, message: result.error.message, line: result.error.line };
+    }
+    return result;
+  });
+
+  parentPort.postMessage({ start, results });
+});
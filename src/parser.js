@@ -1,12 +1,193 @@
+import { parseLua, parseLuaExpression, walk, nodeSource, qualifiedName } from './lua_ast.js';
+import { mergeShapes } from './table_shape.js';
+import { readType, collectTypeNames } from './annotations.js';
+
+/**
+ * Functions that register an event handler, and whether the event they register is a net event
+ */
+const EVENT_REGISTRATIONS = {
+  RegisterNetEvent: true,
+  RegisterServerEvent: true,
+  AddEventHandler: false
+};
+
+/**
+ * Bags a `---@statebag` block can declare keys of, with the kind of entity for the entity classes
+ */
+const STATE_DECLARATION_BAGS = {
+  GlobalState: { bag: 'global' },
+  Player: { bag: 'player' },
+  LocalPlayer: { bag: 'localPlayer' },
+  Entity: { bag: 'entity' },
+  Vehicle: { bag: 'entity', entityType: 'vehicle' },
+  Ped: { bag: 'entity', entityType: 'ped' },
+  Object: { bag: 'entity', entityType: 'object' }
+};
+
+/**
+ * Natives whose result tells which kind of entity a handle is
+ */
+const ENTITY_SOURCES = {
+  vehicle: [
+    'CreateVehicle', 'CreateVehicleServerSetter', 'GetVehiclePedIsIn', 'GetVehiclePedIsUsing',
+    'GetVehiclePedIsEntering', 'GetVehiclePedIsTryingToEnter', 'GetLastDrivenVehicle',
+    'GetPlayersLastVehicle', 'GetClosestVehicle', 'NetToVeh'
+  ],
+  ped: [
+    'CreatePed', 'CreatePedInsideVehicle', 'CreateRandomPed', 'ClonePed', 'PlayerPedId',
+    'GetPlayerPed', 'GetPedInVehicleSeat', 'NetToPed'
+  ],
+  object: ['CreateObject', 'CreateObjectNoOffset', 'GetClosestObjectOfType', 'NetToObj']
+};
+
+/**
+ * Natives that return an entity of any kind
+ */
+const GENERIC_ENTITY_SOURCES = ['NetworkGetEntityFromNetworkId', 'NetToEnt'];
+
+/**
+ * Last word of a variable name that tells which kind of entity a generic handle is
+ * Only whole words of camelCase and snake_case names count (`targetVeh`, `ped_handle`), so `stopped`,
+ * `property` or `object_count` don't match
+ */
+const ENTITY_NAME_HINTS = [
+  [/^(veh|vehicle)$/, 'vehicle'],
+  [/^ped$/, 'ped'],
+  [/^(obj|object|prop)$/, 'object']
+];
+
+/**
+ * Words a variable name can end with after the kind of entity, e.g. `vehicleNetId` or `ped_handle`
+ */
+const ENTITY_NAME_SUFFIXES = new Set(['handle', 'entity', 'ent', 'net', 'id']);
+
+/**
+ * ox_lib cache fields holding entity handles
+ */
+const ENTITY_CACHE_FIELDS = {
+  'cache.vehicle': 'vehicle',
+  'cache.ped': 'ped'
+};
+
+/**
+ * State bag names an AddStateBagChangeHandler filter can start with, and the kind of bag they belong to
+ */
+const STATE_BAG_PREFIXES = [
+  [/^global$/, 'global'],
+  [/^player:/, 'player'],
+  [/^(local)?[eE]ntity:/, 'entity']
+];
+
+/**
+ * Natives change handlers use to turn a bag name into its owner, and the kind of bag they expect
+ */
+const STATE_BAG_NAME_RESOLVERS = {
+  GetPlayerFromStateBagName: 'player',
+  GetEntityFromStateBagName: 'entity'
+};
+
+/**
+ * Functions that register a callback, matched against the dotted name of the call
+ * `leading` is the number of handler parameters the framework fills in on the server before the payload
+ */
+const CALLBACK_REGISTRATIONS = [
+  { pattern: /^lib\.callback\.register$/, framework: 'ox_lib', leading: 1 }, // source
+  { pattern: /^\w+\.Functions\.CreateCallback$/, framework: 'qbcore', leading: 2 } // source, cb
+];
+
+/**
+ * Events raised by the game or server itself, handlers for them don't declare anything new
+ */
+const BUILTIN_EVENTS = new Set([
+  'onResourceStart',
+  'onResourceStarting',
+  'onResourceStop',
+  'onClientResourceStart',
+  'onClientResourceStop',
+  'onServerResourceStart',
+  'onServerResourceStop',
+  'onResourceListRefresh',
+  'playerConnecting',
+  'playerDropped',
+  'playerJoining',
+  'playerEnteredScope',
+  'playerLeftScope',
+  'entityCreating',
+  'entityCreated',
+  'entityRemoved',
+  'gameEventTriggered',
+  'populationPedCreating',
+  'weaponDamageEvent',
+  'explosionEvent'
+]);
+
+/**
+ * Detect if a file is client, server, or shared
+ * Uses the context the resource manifest loads the file in, falling back to path names
+ * @param {string} filePath
+ * @param {import('./manifest.js').ManifestIndex|null} manifests
+ * @returns {string}
+ */
+export function detectFileContext(filePath, manifests) {
+  const manifestContext = manifests?.getContext(filePath);
+  if (manifestContext) {
+    return manifestContext;
+  }
+
+  const lowerPath = filePath.toLowerCase();
+
+  if (lowerPath.includes('client')) {
+    return 'client';
+  } else if (lowerPath.includes('server')) {
+    return 'server';
+  } else if (lowerPath.includes('shared')) {
+    return 'shared';
+  }
+
+  return 'shared';
+}
+
 /**
  * Parses Lua files to extract export definitions, state bag assignments, and their documentation
  */
 export class LuaParser {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {import('./manifest.js').ManifestIndex} [options.manifests] - Manifest index used to detect file contexts
+   * @param {Array} [options.exportHelpers] - Names of functions that register an export like exports(name, fn)
+   */
+  constructor(options = {}) {
+    this.manifests = options.manifests || null;
+    this.exportHelpers = (options.exportHelpers || []).map(name => name.replace(':', '.'));
     this.exports = [];
+    this.exportTables = [];
     this.globalStates = [];
     this.playerStates = [];
     this.localPlayerStates = [];
+    this.entityStates = [];
+    this.events = [];
+    this.callbacks = [];
+    this.typeDefinitions = [];
+    this.functionDefinitions = [];
+    this.syntax = null; // Syntax tree of the last parsed content, shared by all extractors
+  }
+
+  /**
+   * Get the syntax tree and lines of a file content
+   * The tree is kept until different content is parsed, so running every extractor on a file only parses it once
+   * @param {string} content - The Lua file content
+   * @returns {Object} Object containing the source, ast and lines
+   */
+  getSyntax(content) {
+    if (this.syntax?.source !== content) {
+      this.syntax = {
+        source: content,
+        ast: parseLua(content),
+        lines: content.split('\n')
+      };
+    }
+
+    return this.syntax;
   }
 
   /**
@@ -17,18 +198,26 @@ export class LuaParser {
    */
   parse(content, filePath) {
     this.exports = [];
-    const lines = content.split('\n');
+    this.exportTables = [];
+    const syntax = this.getSyntax(content);
 
     const context = this.detectContext(filePath);
 
-    // Find all the exports
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (line.includes('exports(')) {
-        const exportData = this.parseExport(lines, i, context);
-        if (exportData) {
-          this.exports.push(exportData);
+    // Find all the exports('name', ...) calls, and calls to helpers that make them
+    for (const { node, args } of this.findExportRegistrations(syntax)) {
+      if (args[0]?.type === 'Identifier') {
+        // for name, fn in pairs(API) do exports(name, fn) end
+        const table = this.findExportedTable(syntax, node, args);
+        if (table) {
+          this.exportTables.push({ table, context, filePath, line: node.line });
+          this.exports.push(...this.createTableExports(table, this.describeFunctionDefinitions(syntax, filePath), context, filePath, node.line));
         }
+        continue;
+      }
+
+      const exportData = this.parseExport(node, syntax, context, filePath, args);
+      if (exportData) {
+        this.exports.push(exportData);
       }
     }
 
@@ -36,148 +225,1058 @@ export class LuaParser {
   }
 
   /**
-   * Parse GlobalState assignments from Lua file content
+   * Find the calls that register exports: exports(name, fn), helpers listed in the exportHelpers option,
+   * and helpers of the file that pass two of their parameters to exports, e.g.
+   * `local function export(name, fn) exports(name, fn) end`
+   * @param {Object} syntax - Syntax of the file, from getSyntax
+   * @returns {Array} Array of { node, args }, args being the name and function arguments
+   */
+  findExportRegistrations(syntax) {
+    const helpers = new Map(this.exportHelpers.map(name => [name, { nameIndex: 0, functionIndex: 1 }]));
+    const calls = [];
+
+    walk(syntax.ast, node => {
+      if (node.type === 'CallExpression') calls.push(node);
+    });
+
+    // A helper passes its own parameters to exports
+    for (const node of calls) {
+      const [nameArg, functionArg] = node.arguments;
+      if (!this.isCallTo(node, 'exports') || nameArg?.type !== 'Identifier' || functionArg?.type !== 'Identifier') continue;
+
+      const helper = this.findFunctionDefinitions(syntax)
+        .filter(def => def.node.start < node.start && def.node.end > node.end)
+        .sort((a, b) => b.node.start - a.node.start)[0];
+      if (!helper) continue;
+
+      const parameterNames = helper.node.parameters.map(param => param.name);
+      const nameIndex = parameterNames.indexOf(nameArg.name);
+      const functionIndex = parameterNames.indexOf(functionArg.name);
+
+      if (nameIndex !== -1 && functionIndex !== -1) {
+        helpers.set(helper.name, { nameIndex, functionIndex });
+      }
+    }
+
+    const registrations = [];
+    for (const node of calls) {
+      const calleeName = qualifiedName(node.base)?.replace(':', '.');
+
+      if (calleeName === 'exports') {
+        registrations.push({ node, args: node.arguments.slice(0, 2) });
+      } else if (helpers.has(calleeName)) {
+        const { nameIndex, functionIndex } = helpers.get(calleeName);
+        registrations.push({ node, args: [node.arguments[nameIndex], node.arguments[functionIndex]] });
+      }
+    }
+
+    return registrations;
+  }
+
+  /**
+   * Find the table an export registration inside a loop goes through,
+   * e.g. `for name, fn in pairs(API) do exports(name, fn) end` or exports(name, API[name])
+   * @param {Object} syntax - Syntax of the file, from getSyntax
+   * @param {Object} node - The registration call
+   * @param {Array} args - Name and function arguments of the call
+   * @returns {string|null} Name of the table, e.g. API
+   */
+  findExportedTable(syntax, node, args) {
+    const [nameArg, functionArg] = args;
+    let table = null;
+
+    walk(syntax.ast, loop => {
+      if (loop.start > node.start || loop.end < node.end) return false;
+      if (loop.type !== 'ForGenericStatement') return;
+
+      // pairs(API) or next, API
+      const [iterator, state] = loop.iterators;
+      let tableNode = null;
+      if (this.isCallTo(iterator, 'pairs')) tableNode = iterator.arguments[0];
+      if (iterator?.type === 'Identifier' && iterator.name === 'next') tableNode = state;
+
+      const tableName = tableNode && qualifiedName(tableNode);
+      const [key, value] = loop.variables;
+      if (!tableName || key.name !== nameArg.name) return;
+
+      const passesValue = functionArg?.type === 'Identifier' && functionArg.name === value?.name;
+      const indexesTable = functionArg?.type === 'IndexExpression' &&
+        qualifiedName(functionArg.base) === tableName &&
+        functionArg.index.type === 'Identifier' && functionArg.index.name === key.name;
+
+      // The innermost matching loop wins
+      if (passesValue || indexesTable) table = tableName;
+    });
+
+    return table;
+  }
+
+  /**
+   * Create an export for every function of a table registered in a loop
+   * @param {string} table - Name of the table, e.g. API
+   * @param {Array} definitions - Function definitions to look through, from parseFunctionDefinitions
+   * @param {string} context - client/server/shared
+   * @param {string} filePath - File of the loop
+   * @param {number} line - Line of the registration
+   * @returns {Array} Array of export definitions, one per direct function field of the table
+   */
+  createTableExports(table, definitions, context, filePath, line) {
+    const prefix = `${table}.`;
+
+    return definitions
+      .filter(def => def.name.startsWith(prefix) && !def.name.includes('.', prefix.length))
+      .map(def => ({
+        name: def.name.substring(prefix.length),
+        context,
+        documentation: def.documentation,
+        parameters: def.parameters,
+        returnTypes: def.returnTypes,
+        description: def.documentation.description || '',
+        reference: null,
+        filePath,
+        line
+      }));
+  }
+
+  /**
+   * Parse GlobalState writes, reads and change handlers from Lua file content
    * @param {string} content - The Lua file content
    * @param {string} filePath - The file path for context
    * @returns {Array} Array of GlobalState definitions
    */
   parseGlobalStates(content, filePath) {
     this.globalStates = [];
-    const lines = content.split('\n');
+    const syntax = this.getSyntax(content);
     const context = this.detectContext(filePath);
 
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
+    for (const access of this.findStateBagAccesses(syntax)) {
+      if (access.bag === 'global') {
+        this.globalStates.push(this.createStateEntry(access, syntax, context, filePath));
+      }
+    }
 
-      // Skip commented lines
-      if (line.startsWith('--')) {
-        continue;
+    return this.globalStates;
+  }
+
+  /**
+   * Infer Lua type from a value expression
+   * @param {Object|string} value - Expression node, or Lua source of an expression
+   * @returns {string}
+   */
+  inferTypeFromValue(value) {
+    let node = value;
+
+    if (typeof value === 'string') {
+      try {
+        node = parseLuaExpression(value);
+      } catch {
+        return 'any';
       }
+    }
 
-      // Match GlobalState.key = value
-      const match = line.match(/GlobalState\.(\w+)\s*=\s*(.+)/);
-      if (match) {
-        const name = match[1];
-        const value = match[2].trim();
-        const type = this.inferTypeFromValue(value);
+    switch (node.type) {
+      case 'BooleanLiteral':
+        return 'boolean';
+      case 'NilLiteral':
+        return 'nil';
+      case 'StringLiteral':
+        return 'string';
+      case 'NumericLiteral':
+      case 'HashLiteral':
+        return 'number';
+      case 'TableConstructor':
+        return 'table';
+      case 'FunctionDeclaration':
+        return 'function';
+      case 'ParenthesizedExpression':
+        return this.inferTypeFromValue(node.expression);
+      case 'UnaryExpression':
+        if (node.operator === 'not') return 'boolean';
+        if (node.operator === '#') return 'number';
+        if (node.operator === '-') {
+          const argumentType = this.inferTypeFromValue(node.argument);
+          return argumentType === 'number' ? 'number' : 'any';
+        }
+        break;
+      case 'BinaryExpression':
+        if (node.operator === '..') return 'string';
+        if (['==', '~=', '<', '>', '<=', '>='].includes(node.operator)) return 'boolean';
+        break;
+    }
+
+    // Default to any for complex expressions
+    return 'any';
+  }
 
-        this.globalStates.push({
-          name,
-          type,
-          context,
-          filePath,
-          value
+  /**
+   * Parse Player and LocalPlayer state writes, reads and change handlers from Lua file content
+   * @param {string} content - The Lua file content
+   * @param {string} filePath - The file path for context
+   * @returns {Object} Object containing playerStates and localPlayerStates arrays
+   */
+  parsePlayerStates(content, filePath) {
+    this.playerStates = [];
+    this.localPlayerStates = [];
+    const syntax = this.getSyntax(content);
+    const context = this.detectContext(filePath);
+
+    for (const access of this.findStateBagAccesses(syntax)) {
+      if (access.bag === 'player') {
+        this.playerStates.push(this.createStateEntry(access, syntax, context, filePath));
+      } else if (access.bag === 'localPlayer') {
+        this.localPlayerStates.push(this.createStateEntry(access, syntax, context, filePath));
+      }
+    }
+
+    return {
+      playerStates: this.playerStates,
+      localPlayerStates: this.localPlayerStates
+    };
+  }
+
+  /**
+   * Parse Entity state writes, reads and change handlers from Lua file content
+   * The kind of entity (vehicle, ped or object) is detected when the handle comes from an obvious call
+   * @param {string} content - The Lua file content
+   * @param {string} filePath - The file path for context
+   * @returns {Array} Array of Entity state definitions
+   */
+  parseEntityStates(content, filePath) {
+    this.entityStates = [];
+    const syntax = this.getSyntax(content);
+    const context = this.detectContext(filePath);
+
+    for (const access of this.findStateBagAccesses(syntax)) {
+      if (access.bag !== 'entity') continue;
+
+      const handle = access.owner?.arguments[0];
+      this.entityStates.push({
+        ...this.createStateEntry(access, syntax, context, filePath),
+        entityType: access.entityType || (handle ? this.detectEntityType(handle, syntax, access.line) : null)
+      });
+    }
+
+    return this.entityStates;
+  }
+
+  /**
+   * Find every use of a state bag key in a file, shared by the GlobalState, Player and Entity parsers:
+   * - writes: `bag.key = value`, `bag['key'] = value`, `bag.key += 1` and `bag:set('key', value, replicated)`
+   * - reads: `bag.key` and `bag['key']` anywhere else
+   * - change handlers: `AddStateBagChangeHandler('key', bagName, handler)`
+   * - declarations: the `---@field` lines of a `---@statebag` block, see findStateDeclarations
+   * A bag is GlobalState, Player(x).state, LocalPlayer.state, Entity(x).state or a variable holding one
+   * A `---@type` comment above a write replaces the type inferred from the value, and the description above it is kept
+   * @param {Object} syntax - Syntax of the file, from getSyntax
+   * @returns {Array} Array of { bag, owner, key, access, type, value, replicated, direct, declared, description, line },
+   * bag being global/player/localPlayer/entity, owner the expression before .state, direct set for assignments
+   * and declared set when the type comes from an annotation
+   */
+  findStateBagAccesses(syntax) {
+    if (syntax.stateBagAccesses) return syntax.stateBagAccesses;
+
+    const accesses = [];
+    const aliases = this.findStateBagAliases(syntax.ast);
+    const written = new Set(); // Key nodes already recorded as writes
+
+    walk(syntax.ast, node => {
+      if (node.type === 'AssignmentStatement') {
+        node.targets.forEach((target, index) => {
+          const stateKey = this.resolveStateKey(target, aliases);
+          if (!stateKey) return;
+
+          // Compound assignments only work on numbers, or strings for ..=
+          let shape = { type: node.operator === '..=' ? 'string' : 'number' };
+          let value = null;
+          if (node.operator === '=') {
+            value = node.init[index] || null;
+            shape = value ? this.inferStateShape(value, syntax) : { type: 'nil' };
+          }
+
+          written.add(target);
+          accesses.push({ ...stateKey, access: 'write', type: shape.type, shape, value, replicated: true, direct: true, line: target.line });
         });
+        return;
+      }
+
+      if (node.type === 'CallExpression') {
+        const callee = node.base;
+
+        // bag:set('key', value, replicated), also with . instead of :
+        if (callee.type === 'MemberExpression' && callee.identifier.name === 'set') {
+          const bag = this.resolveStateBag(callee.base, aliases);
+          const [key, value, replicated] = node.arguments;
+
+          if (bag && key?.type === 'StringLiteral' && value) {
+            const shape = this.inferStateShape(value, syntax);
+            accesses.push({
+              ...bag,
+              key: key.value,
+              access: 'write',
+              type: shape.type,
+              shape,
+              value,
+              replicated: replicated?.type === 'BooleanLiteral' && replicated.value,
+              line: node.line
+            });
+          }
+        }
+
+        if (this.isCallTo(node, 'AddStateBagChangeHandler')) {
+          const [key, bagFilter, handler] = node.arguments;
+
+          // A nil key watches every key, which says nothing about the keys that exist
+          if (key?.type === 'StringLiteral') {
+            for (const bag of this.detectChangeHandlerBags(bagFilter, handler)) {
+              accesses.push({
+                bag,
+                owner: null,
+                key: key.value,
+                access: 'handler',
+                type: 'any',
+                value: null,
+                replicated: false,
+                line: node.line
+              });
+            }
+          }
+        }
+        return;
+      }
+
+      if ((node.type === 'MemberExpression' || node.type === 'IndexExpression') && !written.has(node)) {
+        const stateKey = this.resolveStateKey(node, aliases);
+
+        // bag.set is the method, not a key
+        if (stateKey && stateKey.key !== 'set') {
+          accesses.push({ ...stateKey, access: 'read', type: 'any', value: null, replicated: false, line: node.line });
+        }
       }
+    });
+
+    for (const access of accesses) {
+      if (access.access === 'write') this.annotateStateWrite(access, syntax);
     }
 
-    return this.globalStates;
+    accesses.push(...this.findStateDeclarations(syntax));
+
+    syntax.stateBagAccesses = accesses;
+    return accesses;
   }
 
   /**
-   * Infer Lua type from a value string
-   * @param {string} value
-   * @returns {string}
+   * Apply the documentation comment above a state bag write: `---@type` sets the type of the key,
+   * the description ends up in the field docs
+   * @param {Object} access - Write from findStateBagAccesses
+   * @param {Object} syntax - Syntax of the file, from getSyntax
    */
-  inferTypeFromValue(value) {
-    // Remove trailing comments
-    value = value.split('--')[0].trim();
+  annotateStateWrite(access, syntax) {
+    const docs = this.extractDocumentation(syntax.lines, access.line - 1);
+
+    if (docs.type) {
+      access.type = docs.type;
+      access.shape = null;
+      access.declared = true;
+    }
+    if (docs.description) {
+      access.description = docs.description;
+    }
+  }
+
+  /**
+   * Find the keys declared in `---@statebag` blocks, which type keys in one place instead of at every write:
+   * ```lua
+   * ---@statebag GlobalState
+   * ---Identifier of the player that owns the server
+   * ---@field owner string
+   * ---@field weather? string Current weather type
+   * ```
+   * Descriptions come from the lines above a field or the text after its type
+   * @param {Object} syntax - Syntax of the file, from getSyntax
+   * @returns {Array} Accesses in the shape of findStateBagAccesses, with access 'declare'
+   */
+  findStateDeclarations(syntax) {
+    const declarations = [];
+
+    for (const block of this.findAnnotationBlocks(syntax)) {
+      let target = null; // Entry of STATE_DECLARATION_BAGS the block declares keys of
+      let pending = []; // Description lines waiting for the field they belong to
 
-    // Boolean
-    if (value === 'true' || value === 'false') {
-      return 'boolean';
+      for (const { text, line } of block) {
+        const tag = text.match(/^---\s*@(\w+)\s*(.*)$/);
+
+        if (tag?.[1] === 'statebag') {
+          target = STATE_DECLARATION_BAGS[tag[2].trim()] || null;
+          pending = [];
+        } else if (tag?.[1] === 'field' && target) {
+          const [, key, optional, rest = ''] = tag[2].match(/^(\w+)(\?)?\s+(.*)$/) || [];
+          const { type, rest: description } = readType(rest);
+
+          if (key && type) {
+            declarations.push({
+              ...target,
+              owner: null,
+              key,
+              access: 'declare',
+              type: optional ? (type.includes('|') ? `${type}|nil` : `${type}?`) : type,
+              value: null,
+              replicated: false,
+              declared: true,
+              description: [...pending, description].filter(Boolean).join('\n'),
+              line
+            });
+          }
+          pending = [];
+        } else if (!tag && target) {
+          pending.push(text.replace(/^---/, '').trim());
+        } else {
+          target = null;
+          pending = [];
+        }
+      }
     }
 
-    // Nil
-    if (value === 'nil') {
-      return 'nil';
+    return declarations;
+  }
+
+  /**
+   * Find the uses of variables that hold a state bag, e.g. `state` after `local state = Player(source).state`
+   * Variables are followed through the blocks they are declared in, so a `local state` of another function is
+   * another variable, and assigning anything but a state bag to a variable ends the alias
+   * @param {Object} ast - Syntax tree of the file
+   * @returns {Map} Map of Identifier node to the { bag, owner } the variable holds where it is used
+   */
+  findStateBagAliases(ast) {
+    const aliases = new Map();
+    const scopes = [new Map()]; // Map of variable name to { bag } per enclosing block, the file (and globals) first
+
+    const lookup = name => {
+      for (let index = scopes.length - 1; index >= 0; index--) {
+        if (scopes[index].has(name)) return scopes[index].get(name);
+      }
+      return null;
+    };
+
+    const declare = (variables, values = []) => {
+      variables.forEach((variable, index) => {
+        scopes[scopes.length - 1].set(variable.name, { bag: values[index] ? this.resolveStateBag(values[index], aliases) : null });
+      });
+    };
+
+    const assign = (name, value) => {
+      const bag = value ? this.resolveStateBag(value, aliases) : null;
+      const binding = lookup(name);
+
+      if (binding) {
+        binding.bag = bag;
+      } else {
+        scopes[0].set(name, { bag });
+      }
+    };
+
+    const block = (statements, variables = []) => {
+      scopes.push(new Map());
+      declare(variables);
+      statements.forEach(visit);
+      scopes.pop();
+    };
+
+    // Values are visited before the variables they are assigned to, like Lua evaluates them
+    const visit = node => walk(node, child => {
+      switch (child.type) {
+        case 'Identifier': {
+          const bag = lookup(child.name)?.bag;
+          if (bag) aliases.set(child, bag);
+          return false;
+        }
+        case 'MemberExpression':
+          visit(child.base);
+          return false;
+        case 'TableKeyString':
+          visit(child.value);
+          return false;
+        case 'LocalStatement':
+          child.init.forEach(visit);
+          if (child.unpack) visit(child.unpack);
+          declare(child.variables, child.init);
+          return false;
+        case 'AssignmentStatement':
+          child.init.forEach(visit);
+          child.targets.forEach((target, index) => {
+            if (target.type === 'Identifier') {
+              // Compound assignments leave a number or string
+              assign(target.name, child.operator === '=' ? child.init[index] : null);
+            } else {
+              visit(target);
+            }
+          });
+          return false;
+        case 'FunctionDeclaration':
+          if (child.isLocal) {
+            declare([child.identifier]);
+          } else if (child.identifier?.type === 'Identifier') {
+            assign(child.identifier.name, null);
+          } else if (child.identifier) {
+            visit(child.identifier);
+          }
+          block(child.body, child.isMethod ? [{ name: 'self' }, ...child.parameters] : child.parameters);
+          return false;
+        case 'DoStatement':
+          block(child.body);
+          return false;
+        case 'WhileStatement':
+          visit(child.condition);
+          block(child.body);
+          return false;
+        case 'RepeatStatement':
+          // The condition sees the locals of the body
+          scopes.push(new Map());
+          child.body.forEach(visit);
+          visit(child.condition);
+          scopes.pop();
+          return false;
+        case 'IfStatement':
+          for (const clause of child.clauses) {
+            visit(clause.condition);
+            block(clause.body);
+          }
+          if (child.elseBody) block(child.elseBody);
+          return false;
+        case 'ForNumericStatement':
+          [child.from, child.to, child.step].filter(Boolean).forEach(visit);
+          block(child.body, [child.variable]);
+          return false;
+        case 'ForGenericStatement':
+          child.iterators.forEach(visit);
+          block(child.body, child.variables);
+          return false;
+        default:
+          return undefined;
+      }
+    });
+
+    visit(ast);
+    return aliases;
+  }
+
+  /**
+   * Resolve an expression to the state bag it refers to
+   * @param {Object} node
+   * @param {Map|null} aliases - From findStateBagAliases, null to only match the bags themselves
+   * @returns {Object|null} { bag, owner }, bag being global/player/localPlayer/entity
+   */
+  resolveStateBag(node, aliases) {
+    if (node.type === 'Identifier') {
+      if (node.name === 'GlobalState') return { bag: 'global', owner: null };
+      return aliases?.get(node) || null;
     }
 
-    // String (single or double quotes)
-    if ((value.startsWith("'") && value.endsWith("'")) ||
-        (value.startsWith('"') && value.endsWith('"'))) {
-      return 'string';
+    if (node.type !== 'MemberExpression' || node.indexer !== '.' || node.identifier.name !== 'state') {
+      return null;
     }
 
-    // Number
-    if (/^-?\d+\.?\d*$/.test(value)) {
-      return 'number';
+    const owner = node.base;
+    if (this.isCallTo(owner, 'Player')) return { bag: 'player', owner };
+    if (this.isCallTo(owner, 'Entity')) return { bag: 'entity', owner };
+    if (owner.type === 'Identifier' && owner.name === 'LocalPlayer') return { bag: 'localPlayer', owner };
+
+    return null;
+  }
+
+  /**
+   * Resolve a member or index expression to the state bag key it refers to, e.g. GlobalState['key']
+   * @param {Object} node
+   * @param {Map} aliases - From findStateBagAliases
+   * @returns {Object|null} { bag, owner, key }
+   */
+  resolveStateKey(node, aliases) {
+    let key = null;
+    if (node.type === 'MemberExpression' && node.indexer === '.') key = node.identifier.name;
+    if (node.type === 'IndexExpression' && node.index.type === 'StringLiteral') key = node.index.value;
+    if (key === null) return null;
+
+    const bag = this.resolveStateBag(node.base, aliases);
+    return bag ? { ...bag, key } : null;
+  }
+
+  /**
+   * Detect which kinds of bag an AddStateBagChangeHandler watches, from its bag name filter
+   * (e.g. 'global' or ('player:%s'):format(id)) or else from how the handler turns the bag name into an owner
+   * @param {Object} [bagFilter] - Second argument of the call
+   * @param {Object} [handler] - Third argument of the call
+   * @returns {Array} global, player and/or entity, all of them when it can't be told (a nil filter watches every bag)
+   */
+  detectChangeHandlerBags(bagFilter, handler) {
+    let bag = null;
+
+    if (bagFilter) {
+      walk(bagFilter, node => {
+        if (bag || node.type !== 'StringLiteral') return;
+        const prefix = STATE_BAG_PREFIXES.find(([pattern]) => pattern.test(node.value));
+        if (prefix) bag = prefix[1];
+      });
     }
 
-    // Table
-    if (value.startsWith('{')) {
-      return 'table';
+    if (!bag && handler) {
+      walk(handler, node => {
+        if (bag || node.type !== 'CallExpression' || node.base.type !== 'Identifier') return;
+        bag = STATE_BAG_NAME_RESOLVERS[node.base.name] || null;
+      });
     }
 
-    // Default to any for complex expressions
-    return 'any';
+    return bag ? [bag] : ['global', 'player', 'entity'];
+  }
+
+  /**
+   * Build the state definition of a state bag access
+   * @param {Object} access - Entry of findStateBagAccesses
+   * @param {Object} syntax - Syntax of the file, from getSyntax
+   * @param {string} context - client/server/shared
+   * @param {string} filePath - The file path the access is in
+   * @returns {Object}
+   */
+  createStateEntry(access, syntax, context, filePath) {
+    return {
+      name: access.key,
+      type: access.type,
+      access: access.access,
+      context,
+      filePath,
+      line: access.line,
+      value: access.value ? nodeSource(syntax.source, access.value) : '',
+      shape: access.shape?.type === 'table' ? access.shape : null,
+      // Assigning a key replicates it on the server, a client only sets its local copy
+      replicated: access.direct ? context !== 'client' : access.replicated,
+      declared: Boolean(access.declared),
+      description: access.description || ''
+    };
   }
 
   /**
-   * Parse Player and LocalPlayer state assignments from Lua file content
+   * Infer the shape of a value written to a state bag
+   * A variable is followed to the value last assigned to it, so `local data = { ... }` is typed too
+   * @param {Object} value - Expression node
+   * @param {Object} syntax - Syntax of the file, from getSyntax
+   * @returns {Object} Shape, see table_shape.js
+   */
+  inferStateShape(value, syntax) {
+    if (value.type === 'Identifier') {
+      const assigned = this.findAssignedValue(syntax.ast, value.name, value.line);
+      if (assigned && assigned.type !== 'Identifier') return this.inferShape(assigned);
+    }
+
+    return this.inferShape(value);
+  }
+
+  /**
+   * Infer the shape of a value: the fields of table literals, the element type of arrays
+   * and nested tables, the type from inferTypeFromValue for anything else
+   * @param {Object} node - Expression node
+   * @returns {Object} Shape, see table_shape.js
+   */
+  inferShape(node) {
+    if (node.type === 'ParenthesizedExpression') return this.inferShape(node.expression);
+    if (node.type !== 'TableConstructor') return { type: this.inferTypeFromValue(node) };
+
+    const fields = new Map();
+    let element = null;
+
+    for (const field of node.fields) {
+      const shape = this.inferShape(field.value);
+      let name = null;
+
+      if (field.type === 'TableKeyString') name = field.key.name;
+      if (field.type === 'TableKey' && field.key.type === 'StringLiteral') name = field.key.value;
+
+      if (name !== null) {
+        fields.set(name, fields.has(name) ? mergeShapes(fields.get(name), shape) : shape);
+      } else if (field.type === 'TableValue' || field.key.type === 'NumericLiteral') {
+        // { a, b } and { [1] = a } make up the array part
+        element = element ? mergeShapes(element, shape) : shape;
+      }
+    }
+
+    return { type: 'table', fields, element };
+  }
+
+  /**
+   * Check whether a node is a call to a global function, e.g. Player(source)
+   * @param {Object} node
+   * @param {string} functionName
+   * @returns {boolean}
+   */
+  isCallTo(node, functionName) {
+    return node.type === 'CallExpression' &&
+      node.base.type === 'Identifier' &&
+      node.base.name === functionName;
+  }
+
+  /**
+   * Detect whether an entity handle is a vehicle, ped or object from the call that produced it
+   * Follows a variable back to the closest assignment above the line it's used on
+   * @param {Object} handle - Expression passed to Entity()
+   * @param {Object} syntax - Syntax of the file, from getSyntax
+   * @param {number} line - Line the handle is used on
+   * @returns {string|null} vehicle/ped/object, or null when it can't be told
+   */
+  detectEntityType(handle, syntax, line) {
+    let value = handle;
+    let variableName = null;
+
+    if (handle.type === 'Identifier') {
+      variableName = handle.name;
+      value = this.findAssignedValue(syntax.ast, handle.name, line);
+    }
+
+    if (!value) return null;
+
+    // cache.vehicle and cache.ped (ox_lib)
+    const valueName = qualifiedName(value);
+    if (valueName && ENTITY_CACHE_FIELDS[valueName]) {
+      return ENTITY_CACHE_FIELDS[valueName];
+    }
+
+    if (value.type !== 'CallExpression' || value.base.type !== 'Identifier') return null;
+
+    const source = value.base.name;
+    for (const [entityType, natives] of Object.entries(ENTITY_SOURCES)) {
+      if (natives.includes(source)) return entityType;
+    }
+
+    // Natives that return any kind of entity, the variable name tells what it holds
+    if (GENERIC_ENTITY_SOURCES.includes(source) && variableName) {
+      const words = variableName.replace(/([a-z\d])([A-Z])/g, '$1_$2').toLowerCase().split(/[_\d]+/).filter(Boolean);
+      while (words.length > 1 && ENTITY_NAME_SUFFIXES.has(words[words.length - 1])) words.pop();
+
+      const hint = ENTITY_NAME_HINTS.find(([pattern]) => pattern.test(words[words.length - 1] || ''));
+      return hint ? hint[1] : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the value last assigned to a variable above a line
+   * @param {Object} ast - Syntax tree of the file
+   * @param {string} name - Variable name
+   * @param {number} line - Line the variable is used on
+   * @returns {Object|null} The assigned expression node
+   */
+  findAssignedValue(ast, name, line) {
+    let closest = null;
+
+    walk(ast, node => {
+      if (node.line > line) return false;
+
+      let targets = null;
+      if (node.type === 'LocalStatement') targets = node.variables;
+      if (node.type === 'AssignmentStatement' && node.operator === '=') targets = node.targets;
+      if (!targets) return;
+
+      targets.forEach((target, index) => {
+        if (target.type === 'Identifier' && target.name === name && node.init[index] &&
+            (!closest || node.line >= closest.line)) {
+          closest = { line: node.line, value: node.init[index] };
+        }
+      });
+    });
+
+    return closest ? closest.value : null;
+  }
+
+  /**
+   * Parse event registrations (RegisterNetEvent, AddEventHandler) from Lua file content
    * @param {string} content - The Lua file content
    * @param {string} filePath - The file path for context
-   * @returns {Object} Object containing playerStates and localPlayerStates arrays
+   * @returns {Array} Array of event definitions
    */
-  parsePlayerStates(content, filePath) {
-    this.playerStates = [];
-    this.localPlayerStates = [];
-    const lines = content.split('\n');
+  parseEvents(content, filePath) {
+    this.events = [];
+    const syntax = this.getSyntax(content);
     const context = this.detectContext(filePath);
 
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
+    walk(syntax.ast, node => {
+      if (node.type !== 'CallExpression' || node.base.type !== 'Identifier') return;
 
-      // Skip commented lines
-      if (line.startsWith('--')) {
-        continue;
+      const net = EVENT_REGISTRATIONS[node.base.name];
+      if (net === undefined) return;
+
+      // Match RegisterNetEvent('name', handler?) and AddEventHandler('name', handler)
+      const [nameArg, handlerArg] = node.arguments;
+      if (nameArg?.type !== 'StringLiteral' || BUILTIN_EVENTS.has(nameArg.value)) return;
+
+      const resolved = this.resolveFunction(handlerArg, syntax, node.line);
+      if (!resolved) return;
+
+      const { functionDef, documentation: docs } = resolved;
+
+      this.events.push({
+        name: nameArg.value,
+        net,
+        context,
+        hasHandler: Boolean(functionDef),
+        documentation: docs,
+        parameters: functionDef?.parameters || [],
+        description: docs.description || '',
+        filePath,
+        line: node.line
+      });
+    });
+
+    return this.events;
+  }
+
+  /**
+   * Parse callback registrations (lib.callback.register, QBCore.Functions.CreateCallback) from Lua file content
+   * @param {string} content - The Lua file content
+   * @param {string} filePath - The file path for context
+   * @returns {Array} Array of callback definitions
+   */
+  parseCallbacks(content, filePath) {
+    this.callbacks = [];
+    const syntax = this.getSyntax(content);
+    const context = this.detectContext(filePath);
+
+    walk(syntax.ast, node => {
+      if (node.type !== 'CallExpression') return;
+
+      const calleeName = qualifiedName(node.base);
+      const registration = calleeName && CALLBACK_REGISTRATIONS.find(entry => entry.pattern.test(calleeName));
+      if (!registration) return;
+
+      const [nameArg, handlerArg] = node.arguments;
+      if (nameArg?.type !== 'StringLiteral' || !handlerArg) return;
+
+      const resolved = this.resolveFunction(handlerArg, syntax, node.line);
+      if (!resolved) return;
+
+      const { functionDef, functionNode, documentation: docs } = resolved;
+
+      this.callbacks.push({
+        name: nameArg.value,
+        framework: registration.framework,
+        leading: registration.leading,
+        context,
+        documentation: docs,
+        parameters: functionDef?.parameters || [],
+        returnTypes: functionNode ? this.inferCallbackReturns(functionNode, registration.framework) : [],
+        description: docs.description || '',
+        filePath,
+        line: node.line
+      });
+    });
+
+    return this.callbacks;
+  }
+
+  /**
+   * Infer what a callback handler returns from its body
+   * ox_lib callbacks return their results, QBCore callbacks pass them to the cb parameter
+   * @param {Object} functionNode - The handler FunctionDeclaration node
+   * @param {string} framework - ox_lib or qbcore
+   * @returns {Array} Array of inferred return types
+   */
+  inferCallbackReturns(functionNode, framework) {
+    if (framework !== 'qbcore') {
+      return this.inferReturnTypes(functionNode);
+    }
+
+    const results = [];
+    const cbName = functionNode.parameters[1]?.name;
+    if (!cbName) return [];
+
+    // cb is often called from nested functions, e.g. inside a MySQL query callback
+    walk(functionNode, node => {
+      if (node.type === 'CallExpression' && node.base.type === 'Identifier' && node.base.name === cbName) {
+        results.push(node.arguments);
       }
+    });
 
-      // Match Player(something).state:set('key', value, replicated)
-      // or Player(something).state.set('key', value, replicated)
-      const playerMatch = line.match(/Player\([^)]+\)\.state[:.]set\(\s*['"]([^'"]+)['"]\s*,\s*([^,]+)(?:,\s*([^)]+))?\)/);
+    return this.mergeReturnTypes(results);
+  }
 
-      if (playerMatch) {
-        const name = playerMatch[1];
-        const value = playerMatch[2].trim();
-        const replicated = playerMatch[3] ? playerMatch[3].trim() : 'false';
-        const type = this.inferTypeFromValue(value);
+  /**
+   * Infer what a function returns from the return statements of its body
+   * @param {Object} functionNode - FunctionDeclaration node
+   * @returns {Array} Array of inferred return types, empty when the function never returns a value
+   */
+  inferReturnTypes(functionNode) {
+    const results = [];
 
-        this.playerStates.push({
-          name,
-          type,
-          context,
-          filePath,
-          value,
-          replicated: replicated === 'true'
-        });
+    // Only returns of the function itself, not of functions nested in it
+    walk(functionNode, node => {
+      if (node.type === 'FunctionDeclaration' && node !== functionNode) return false;
+      if (node.type === 'ReturnStatement' && node.arguments.length > 0) {
+        results.push(node.arguments);
       }
+    });
 
-      // Match LocalPlayer.state:set('key', value, replicated)
-      // or LocalPlayer.state.set('key', value, replicated)
-      const localPlayerMatch = line.match(/LocalPlayer\.state[:.]set\(\s*['"]([^'"]+)['"]\s*,\s*([^,]+)(?:,\s*([^)]+))?\)/);
+    return this.mergeReturnTypes(results);
+  }
 
-      if (localPlayerMatch) {
-        const name = localPlayerMatch[1];
-        const value = localPlayerMatch[2].trim();
-        const replicated = localPlayerMatch[3] ? localPlayerMatch[3].trim() : 'false';
+  /**
+   * Merge the values of several return statements into one type per position
+   * @param {Array} results - Array of argument lists, one per return statement (or cb call)
+   * @returns {Array} Array of types
+   */
+  mergeReturnTypes(results) {
+    const returnTypes = [];
+    for (const values of results) {
+      values.forEach((value, index) => {
         const type = this.inferTypeFromValue(value);
 
-        this.localPlayerStates.push({
-          name,
-          type,
-          context,
-          filePath,
-          value,
-          replicated: replicated === 'true'
-        });
+        // If returns disagree, use 'any' as a fallback
+        if (returnTypes[index] === undefined) {
+          returnTypes[index] = type;
+        } else if (returnTypes[index] !== type) {
+          returnTypes[index] = 'any';
+        }
+      });
+    }
+
+    return returnTypes;
+  }
+
+  /**
+   * Parse the ---@class (with its @field lines), ---@alias (with its ---| variants) and ---@enum blocks of a file,
+   * so the types exports refer to can be carried into the generated files
+   * @param {string} content - The Lua file content
+   * @param {string} filePath - The file path for context
+   * @returns {Array} Array of { kind, name, text, references, filePath, line }, references being the type names the definition uses
+   */
+  parseTypeDefinitions(content, filePath) {
+    this.typeDefinitions = [];
+    const syntax = this.getSyntax(content);
+
+    for (const block of this.findAnnotationBlocks(syntax)) {
+      let current = null;
+      let pending = []; // Description lines waiting for the tag they belong to
+
+      const finish = () => {
+        if (current) this.typeDefinitions.push({ ...current, text: current.lines.join('\n'), filePath });
+        current = null;
+      };
+
+      for (const { text, line } of block) {
+        const tag = text.match(/^---\s*@(\w+)\s*(.*)$/);
+
+        if (tag && ['class', 'alias', 'enum'].includes(tag[1])) {
+          finish();
+
+          // @class (exact) Name: Parent and @enum (key) Name carry an attribute before the name
+          const [, name = null, after = ''] = tag[2].match(/^(?:\([\w\s,]*\)\s*)?([\w.]+)(.*)$/) || [];
+          if (name) {
+            current = { kind: tag[1], name, line, lines: [...pending, text], references: [] };
+            this.addTypeReferences(current, tag[1], after);
+          }
+          pending = [];
+        } else if (tag && current?.kind === 'class' && ['field', 'operator', 'see'].includes(tag[1])) {
+          current.lines.push(...pending, text);
+          this.addTypeReferences(current, tag[1], tag[2]);
+          pending = [];
+        } else if (!tag && current?.kind === 'alias' && /^---\s*\|/.test(text)) {
+          current.lines.push(text);
+          this.addTypeReferences(current, 'variant', text.replace(/^---\s*\|\s*/, ''));
+        } else if (!tag) {
+          pending.push(text);
+        } else {
+          // Any other tag documents the code below the block, e.g. a function
+          finish();
+          pending = [];
+        }
+      }
+
+      // LuaLS reads an enum's values from the table that follows it
+      if (current?.kind === 'enum') {
+        const table = this.findStatementAt(syntax.ast, block[block.length - 1].line + 1);
+        if (table) current.lines.push(nodeSource(syntax.source, table));
       }
+
+      finish();
     }
 
-    return {
-      playerStates: this.playerStates,
-      localPlayerStates: this.localPlayerStates
-    };
+    return this.typeDefinitions;
+  }
+
+  /**
+   * Record the type names used by one line of a type definition
+   * @param {Object} definition - Definition being built
+   * @param {string} kind - class/alias/enum for the declaration line, field/operator/see/variant for the lines after it
+   * @param {string} text - Text of the line after the tag
+   */
+  addTypeReferences(definition, kind, text) {
+    let types = [];
+
+    if (kind === 'class') {
+      // Parent classes after the colon
+      types = text.replace(/^\s*:/, '').split(',').map(type => type.trim()).filter(Boolean);
+    } else if (kind === 'alias' || kind === 'variant') {
+      types = [readType(text).type];
+    } else if (kind === 'field') {
+      // @field [private] name type, or @field [keyType] type
+      const rest = text.replace(/^(private|protected|public|package)\s+/, '');
+      const index = rest.match(/^\[([^\]]*)\]\s*(.*)$/);
+      types = index ? [index[1], readType(index[2]).type] : [readType(rest.replace(/^\S+\s*/, '')).type];
+    } else if (kind === 'operator') {
+      types = [text.replace(/^\w+/, '')];
+    }
+
+    for (const type of types) {
+      for (const name of collectTypeNames(type)) {
+        if (name !== definition.name && !definition.references.includes(name)) {
+          definition.references.push(name);
+        }
+      }
+    }
+  }
+
+  /**
+   * Group the ---annotation comments of a file into blocks of consecutive lines
+   * @param {Object} syntax - Syntax of the file, from getSyntax
+   * @returns {Array} Array of blocks, each an Array of { text, line }
+   */
+  findAnnotationBlocks(syntax) {
+    const blocks = [];
+    let block = null;
+
+    for (const comment of syntax.ast.comments) {
+      // Only comments on their own line, trailing comments belong to the code before them
+      const text = comment.raw.trim();
+      const ownLine = syntax.lines[comment.line - 1].trim().startsWith('--');
+
+      if (comment.block || !text.startsWith('---') || !ownLine) {
+        block = null;
+        continue;
+      }
+
+      if (!block || block[block.length - 1].line !== comment.line - 1) {
+        block = [];
+        blocks.push(block);
+      }
+
+      block.push({ text, line: comment.line });
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Find the statement that starts on a line
+   * @param {Object} ast - Syntax tree of the file
+   * @param {number} line
+   * @returns {Object|null}
+   */
+  findStatementAt(ast, line) {
+    let statement = null;
+
+    walk(ast, node => {
+      if (statement || node.line > line) return false;
+      if (node.line === line && ['LocalStatement', 'AssignmentStatement'].includes(node.type)) {
+        statement = node;
+      }
+    });
+
+    return statement;
   }
 
   /**
@@ -186,78 +1285,115 @@ export class LuaParser {
    * @returns {string}
    */
   detectContext(filePath) {
-    const lowerPath = filePath.toLowerCase();
-
-    if (lowerPath.includes('client')) {
-      return 'client';
-    } else if (lowerPath.includes('server')) {
-      return 'server';
-    } else if (lowerPath.includes('shared')) {
-      return 'shared';
-    }
-
-    return 'shared';
+    return detectFileContext(filePath, this.manifests);
   }
 
   /**
-   * Parse an export statement and its documentation
-   * @param {Array} lines - All lines in the file
-   * @param {number} lineIndex - Index of the export line
+   * Parse an export call and its documentation
+   * @param {Object} node - The exports(...) or export helper CallExpression node
+   * @param {Object} syntax - Syntax of the file, from getSyntax
    * @param {string} context - client/server/shared
+   * @param {string} filePath - The file path the export is in
+   * @param {Array} [args] - Name and function arguments, when the call is to an export helper
    * @returns {Object|null}
    */
-  parseExport(lines, lineIndex, context) {
-    const exportLine = lines[lineIndex];
-
-    // If an export contains the word 'function' and parentheses right after, it's an inline function
-    //TODO: We may need to go back to searching multi-line but i dont see why
-    const isInline = exportLine.includes('function(') || exportLine.includes('function (');
+  parseExport(node, syntax, context, filePath, args = node.arguments) {
+    const [nameArg, functionArg] = args;
 
     // Match export with either a function reference or inline function
-    let exportMatch = exportLine.match(/exports\s*\(\s*['"]([^'"]+)['"]\s*,\s*(\w+)\s*\)/);
-    let exportName, functionRef;
-
-    if (exportMatch) {
-      exportName = exportMatch[1];
-      functionRef = exportMatch[2];
-    } else if (isInline) {
-      const inlineMatch = exportLine.match(/exports\s*\(\s*['"]([^'"]+)['"]\s*,\s*function/);
-      if (inlineMatch) {
-        exportName = inlineMatch[1];
-        functionRef = null; // No reference name for inline functions
-      } else {
-        return null;
-      }
-    } else {
+    if (nameArg?.type !== 'StringLiteral' || !functionArg) {
       return null;
     }
 
+    const resolved = this.resolveFunction(functionArg, syntax, node.line);
+    if (!resolved) {
+      return null;
+    }
+
+    const { functionDef, documentation: docs, reference } = resolved;
+
+    return {
+      name: nameArg.value,
+      context: context,
+      documentation: docs,
+      parameters: functionDef?.parameters || [],
+      returnTypes: functionDef?.returnTypes || [],
+      description: docs.description || '',
+      reference, // Name of a function defined in another file, see resolveExportReference
+      filePath,
+      line: node.line
+    };
+  }
+
+  /**
+   * Attach the definition of an export's function when it lives in another file of the resource
+   * @param {Object} exp - Export definition from parse
+   * @param {Array} definitions - Function definitions of every file of the resource, from parseFunctionDefinitions
+   * @returns {Object} The export with the parameters and documentation of the definition, or the export itself when none matches
+   */
+  resolveExportReference(exp, definitions) {
+    if (!exp.reference) return exp;
+
+    // Global functions and fields of global tables by their full name
+    let definition = definitions.find(def => !def.isLocal && def.name === exp.reference);
+
+    // A module table is usually named differently in the file that requires it, so match on the field name if only one fits
+    if (!definition && exp.reference.includes('.')) {
+      const field = exp.reference.split('.').pop();
+      const candidates = definitions.filter(def => def.name.includes('.') && def.name.split('.').pop() === field);
+      if (candidates.length === 1) definition = candidates[0];
+    }
+
+    if (!definition) return exp;
+
+    return {
+      ...exp,
+      documentation: definition.documentation,
+      parameters: definition.parameters,
+      returnTypes: definition.returnTypes,
+      description: definition.documentation.description || '',
+      reference: null
+    };
+  }
+
+  /**
+   * Resolve a function argument (inline function or reference to a named function) and its documentation
+   * @param {Object|undefined} functionArg - The argument node, undefined when the call has no function
+   * @param {Object} syntax - Syntax of the file, from getSyntax
+   * @param {number} line - Line of the call the function is passed to
+   * @returns {Object|null} Object with functionDef, functionNode, documentation and the reference (name of a function
+   * not defined in this file), or null for unsupported arguments
+   */
+  resolveFunction(functionArg, syntax, line) {
     let functionDef = null;
-    let docs = null;
-    let functionLineIndex = lineIndex;
+    let functionNode = null;
+    let functionLineIndex = line - 1;
+    let reference = null;
 
-    if (!isInline) {
-      // Look for function definition above
-      const result = this.findFunctionDefinition(lines, lineIndex, functionRef);
+    if (functionArg?.type === 'FunctionDeclaration') {
+      functionNode = functionArg;
+      functionDef = this.parseFunctionSignature(functionArg);
+    } else if (functionArg) {
+      // A function name, e.g. GetItem or Inventory.GetItem
+      const name = qualifiedName(functionArg);
+      if (!name) return null;
+
+      const result = this.findFunctionDefinition(syntax, line, name);
       if (result) {
+        functionNode = result.functionNode;
         functionDef = result.functionDef;
         functionLineIndex = result.lineIndex;
+      } else {
+        reference = name;
       }
-    } else {
-      functionDef = this.parseInlineFunction(lines, lineIndex);
     }
 
     // We need to look backwards for documentation comments
-    docs = this.extractDocumentation(lines, functionLineIndex);
-
     return {
-      name: exportName,
-      context: context,
-      documentation: docs,
-      parameters: functionDef?.parameters || [],
-      returnTypes: functionDef?.returnTypes || [],
-      description: docs.description || '',
-      filePath: lines[lineIndex]
+      functionDef,
+      functionNode,
+      documentation: this.extractDocumentation(syntax.lines, functionLineIndex),
+      reference
     };
   }
 
@@ -266,13 +1402,21 @@ export class LuaParser {
    * Looks backwards from the function definition to find documentation
    * @param {Array} lines - All lines in the file
    * @param {number} startIndex - Index to start searching backwards from
-   * @returns {Object} Parsed documentation with description, params, returns, etc.
+   * @returns {Object} Parsed documentation with description, params, returns, overloads, generics, see,
+   * nodiscard, async, and deprecated and type (undefined when the tag is missing)
    */
   extractDocumentation(lines, startIndex) {
     const docs = {
       description: '',
       params: [],
       returns: [],
+      overloads: [],
+      generics: [],
+      see: [],
+      nodiscard: false,
+      async: false,
+      deprecated: undefined,
+      type: undefined,
       rawComments: []
     };
 
@@ -315,38 +1459,79 @@ export class LuaParser {
       }
     }
 
-    // Parse LuaDoc tags
-    let descriptionLines = [];
+    // Parse LuaDoc tags, lines without a tag continue the description (or `---|` variants) of the tag above
+    const descriptionLines = [];
     let foundTag = false;
+    let lastTag = null;
 
     for (const line of commentLines) {
-      if (line.startsWith('@param')) {
-        foundTag = true;
-        const paramMatch = line.match(/@param\s+(\w+)\s+([^\s]+)(?:\s+(.+))?/);
-        if (paramMatch) {
-          docs.params.push({
-            name: paramMatch[1],
-            type: paramMatch[2],
-            description: paramMatch[3] || ''
-          });
+      const tagMatch = line.match(/^@(\w+)\s*(.*)$/);
+
+      if (!tagMatch) {
+        if (!foundTag) {
+          if (line.trim()) descriptionLines.push(line);
+        } else if (lastTag && line.startsWith('|')) {
+          lastTag.variants.push(line);
+        } else if (lastTag && line.trim()) {
+          lastTag.description += (lastTag.description ? '\n' : '') + line;
         }
-      } else if (line.startsWith('@return')) {
-        foundTag = true;
-        const returnMatch = line.match(/@return\s+([^\s]+)(?:\s+(.+))?/);
-        if (returnMatch) {
-          docs.returns.push({
-            type: returnMatch[1],
-            description: returnMatch[2] || ''
-          });
+        continue;
+      }
+
+      const [, tag, text] = tagMatch;
+      foundTag = true;
+      lastTag = null;
+
+      switch (tag) {
+        case 'param': {
+          // @param name type description, name? marks an optional parameter and ... the varargs
+          const paramMatch = text.match(/^(\.\.\.|\w+)(\?)?(?:\s+(.*))?$/);
+          if (!paramMatch) break;
+
+          const { type, rest } = readType(paramMatch[3] || '');
+          lastTag = { name: paramMatch[1], type: type || 'any', description: rest, optional: Boolean(paramMatch[2]), variants: [] };
+          docs.params.push(lastTag);
+          break;
         }
-      } else if (line.startsWith('@deprecated')) {
-        foundTag = true;
-        docs.deprecated = line.substring('@deprecated'.length).trim();
-      } else {
-        // Regular description line - only add if we haven't found tags yet
-        if (!foundTag && line.trim()) {
-          descriptionLines.push(line);
+        case 'vararg': {
+          // Older spelling of @param ... type
+          const { type, rest } = readType(text);
+          if (docs.params.some(param => param.name === '...')) break;
+
+          lastTag = { name: '...', type: type || 'any', description: rest, optional: false, variants: [] };
+          docs.params.push(lastTag);
+          break;
         }
+        case 'return': {
+          const { type, rest } = readType(text);
+          if (!type) break;
+
+          lastTag = { type, description: rest, variants: [] };
+          docs.returns.push(lastTag);
+          break;
+        }
+        case 'overload':
+          docs.overloads.push(text);
+          break;
+        case 'generic':
+          docs.generics.push(text);
+          break;
+        case 'see':
+          docs.see.push(text);
+          break;
+        case 'nodiscard':
+          docs.nodiscard = true;
+          break;
+        case 'async':
+          docs.async = true;
+          break;
+        case 'deprecated':
+          docs.deprecated = text;
+          break;
+        case 'type':
+          // Only documents variables, e.g. a state bag write
+          docs.type = readType(text).type || undefined;
+          break;
       }
     }
 
@@ -357,78 +1542,146 @@ export class LuaParser {
   }
 
   /**
-   * Find function definition by searching upward from the export statement
-   * @param {Array} lines - All lines in the file
-   * @param {number} exportLineIndex - Index of the export line
-   * @param {string} functionName - Name of the function to find
-   * @returns {Object|null} Function definition and line index, or null if not found
+   * Find the definition of a function in a file: the closest one above the line it's used on,
+   * or else the first one below (a global can be defined after the export that uses it)
+   * @param {Object} syntax - Syntax of the file, from getSyntax
+   * @param {number} line - Line the function is used on
+   * @param {string} functionName - Name of the function, e.g. GetItem or Inventory.GetItem
+   * @returns {Object|null} Function definition, node and line index, or null if not found
    */
-  findFunctionDefinition(lines, exportLineIndex, functionName) {
-    // Search upward for definition (maximum 500 lines above)
-    for (let i = exportLineIndex - 1; i >= Math.max(0, exportLineIndex - 500); i--) {
-      const line = lines[i].trim();
+  findFunctionDefinition(syntax, line, functionName) {
+    const candidates = this.findFunctionDefinitions(syntax).filter(def => def.name === functionName);
+    const above = candidates.filter(def => def.line <= line).sort((a, b) => b.line - a.line)[0];
+    const definition = above || candidates.find(def => def.line > line);
 
-      // Skip commented-out lines
-      if (line.startsWith('--')) {
-        continue;
+    if (!definition) {
+      return null;
+    }
+
+    return {
+      functionDef: this.parseFunctionSignature(definition.node),
+      functionNode: definition.node,
+      lineIndex: definition.line - 1
+    };
+  }
+
+  /**
+   * Find every named function of a file: `function Name()`, `function M.Name()`, `function M:Name()`,
+   * functions assigned to a variable or field, and functions inside table constructors
+   * (`local M = { GetItem = function() end }` defines M.GetItem)
+   * @param {Object} syntax - Syntax of the file, from getSyntax
+   * @returns {Array} Array of { name, node, line, isLocal }, with . instead of : in method names
+   * and isLocal set when the function or the table holding it is a local
+   */
+  findFunctionDefinitions(syntax) {
+    if (syntax.functionDefinitions) return syntax.functionDefinitions;
+
+    const definitions = [];
+    const localNames = new Set();
+
+    const addTableFunctions = (owner, table, line, isLocal) => {
+      for (const field of table.fields) {
+        let key = null;
+        if (field.type === 'TableKeyString') key = field.key.name;
+        if (field.type === 'TableKey' && field.key.type === 'StringLiteral') key = field.key.value;
+        if (key === null) continue;
+
+        if (field.value.type === 'FunctionDeclaration') {
+          definitions.push({ name: `${owner}.${key}`, node: field.value, line: field.line, isLocal });
+        } else if (field.value.type === 'TableConstructor') {
+          addTableFunctions(`${owner}.${key}`, field.value, field.line, isLocal);
+        }
       }
+    };
 
-      // Check for local function or global function
-      const funcMatch = line.match(/(?:local\s+)?function\s+(\w+)\s*\(([^)]*)\)/);
+    walk(syntax.ast, node => {
+      if (node.type === 'FunctionDeclaration' && node.identifier) {
+        const name = qualifiedName(node.identifier);
+        if (!name) return;
 
-      if (funcMatch && funcMatch[1] === functionName) {
-        return {
-          functionDef: this.parseFunctionSignature(funcMatch[2]),
-          lineIndex: i
-        };
+        if (node.isLocal) localNames.add(name);
+        definitions.push({ name: name.replace(':', '.'), node, line: node.line, isLocal: node.isLocal });
+        return;
       }
+
+      let targets = null;
+      if (node.type === 'LocalStatement') targets = node.variables;
+      if (node.type === 'AssignmentStatement' && node.operator === '=') targets = node.targets;
+      if (!targets) return;
+
+      targets.forEach((target, index) => {
+        const name = qualifiedName(target);
+        const value = node.init[index];
+        const isLocal = node.type === 'LocalStatement';
+
+        if (isLocal) localNames.add(name);
+        if (!name || !value) return;
+
+        if (value.type === 'FunctionDeclaration') {
+          definitions.push({ name, node: value, line: node.line, isLocal });
+        } else if (value.type === 'TableConstructor') {
+          addTableFunctions(name, value, node.line, isLocal);
+        }
+      });
+    });
+
+    // Functions stored in a local table, e.g. function M.GetItem() after local M = {}
+    for (const definition of definitions) {
+      definition.isLocal ||= localNames.has(definition.name.split('.')[0]);
     }
 
-    return null;
+    syntax.functionDefinitions = definitions;
+    return definitions;
   }
 
   /**
-   * Parse inline function definition from export statement
-   * Handles multi-line function definitions
-   * @param {Array} lines - All lines in the file
-   * @param {number} lineIndex - Index of the export line
-   * @returns {Object} Function signature with parameters and return types
+   * Parse the named functions of a file that exports in other files of the resource can refer to
+   * Plain local functions are left out, members of local tables are kept since modules are often returned and required
+   * @param {string} content - The Lua file content
+   * @param {string} filePath - The file path for context
+   * @returns {Array} Array of { name, isLocal, parameters, returnTypes, documentation, filePath, line }
    */
-  parseInlineFunction(lines, lineIndex) {
-    let combinedText = '';
-    for (let i = 0; i < 5 && lineIndex + i < lines.length; i++) {
-      combinedText += ' ' + lines[lineIndex + i].trim();
+  parseFunctionDefinitions(content, filePath) {
+    const syntax = this.getSyntax(content);
 
-      const match = combinedText.match(/function\s*\(([^)]*)\)/);
-      if (match) {
-        return this.parseFunctionSignature(match[1]);
-      }
-    }
+    this.functionDefinitions = this.describeFunctionDefinitions(syntax, filePath)
+      .filter(def => !def.isLocal || def.name.includes('.'));
 
-    return { parameters: [], returnTypes: [] };
+    return this.functionDefinitions;
   }
 
   /**
-   * Parse function signature to extract parameters
-   * @param {string} paramsString
-   * @returns {Object}
+   * Get the named functions of a file with their parameters and documentation
+   * @param {Object} syntax - Syntax of the file, from getSyntax
+   * @param {string} filePath
+   * @returns {Array} Array of { name, isLocal, parameters, returnTypes, documentation, filePath, line }
    */
-  parseFunctionSignature(paramsString) {
-    const parameters = [];
+  describeFunctionDefinitions(syntax, filePath) {
+    return this.findFunctionDefinitions(syntax).map(def => ({
+      name: def.name,
+      isLocal: def.isLocal,
+      ...this.parseFunctionSignature(def.node),
+      documentation: this.extractDocumentation(syntax.lines, def.line - 1),
+      filePath,
+      line: def.line
+    }));
+  }
 
-    if (paramsString.trim()) {
-      const params = paramsString.split(',').map(p => p.trim());
+  /**
+   * Parse function signature to extract parameters, and infer what the function returns
+   * @param {Object} functionNode - FunctionDeclaration node
+   * @returns {Object} { parameters, returnTypes }
+   */
+  parseFunctionSignature(functionNode) {
+    const parameters = functionNode.parameters.map(param => ({
+      name: param.name,
+      type: 'any' // Will be overridden by @param (if available)
+    }));
 
-      for (const param of params) {
-        if (param) {
-          parameters.push({
-            name: param,
-            type: 'any' // Will be overridden by @param (if available)
-          });
-        }
-      }
+    if (functionNode.isVararg) {
+      parameters.push({ name: '...', type: 'any' });
     }
 
-    return { parameters, returnTypes: [] };
+    return { parameters, returnTypes: this.inferReturnTypes(functionNode) };
   }
 }
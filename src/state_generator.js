@@ -1,11 +1,160 @@
+import path from 'path';
+import { mergeShapes, isEmptyTable, getTypeMembers, unionTypes } from './table_shape.js';
+
+/**
+ * Classes generated for entity state bags of a known kind
+ */
+const ENTITY_CLASSES = {
+  vehicle: 'VehicleStateBag',
+  ped: 'PedStateBag',
+  object: 'ObjectStateBag'
+};
+
+/**
+ * Classes generated for a player's state bag, one per place it is used from
+ */
+const PLAYER_VIEWS = {
+  server: {
+    className: 'ServerPlayerStateBag',
+    description: ['State of a player on the server: keys set on the server, and keys clients replicate']
+  },
+  local: {
+    className: 'LocalPlayerStateBag',
+    description: ['State of the local player on a client: keys set on this client, and keys the server replicates']
+  },
+  remote: {
+    className: 'RemotePlayerStateBag',
+    description: ['State of another player on a client: keys the server or that player replicate']
+  }
+};
+
+/**
+ * The view Player(x).state has on each side, see generatePlayerFile
+ */
+const PLAYER_SIDES = {
+  server: 'server',
+  client: 'remote'
+};
+
+/**
+ * Check whether a use of a player state key makes the key visible in one of the PLAYER_VIEWS
+ * Reads tell where a key is expected, writes are visible where they are made and where they replicate to
+ * @param {Object} use - Use of the key, see mergePlayerStates
+ * @param {string} view - server, local or remote
+ * @returns {boolean}
+ */
+function isVisibleIn(use, view) {
+  const onServer = use.context !== 'client';
+  const onClient = use.context !== 'server';
+
+  // A declared Player key exists everywhere, a LocalPlayer one on the local player
+  if (use.access === 'declare') return use.bag === 'player' || view === 'local';
+
+  if (use.access !== 'write') {
+    if (view === 'server') return onServer;
+    // Change handlers on a client watch every player's bag
+    if (use.access === 'handler') return onClient;
+    return onClient && (view === 'local') === (use.bag === 'localPlayer');
+  }
+
+  switch (view) {
+    case 'server':
+      return onServer || use.replicated;
+    case 'local':
+      return (onClient && use.bag === 'localPlayer') || (onServer && use.replicated);
+    default:
+      // Other players' replicated writes reach every client through the server
+      return use.replicated || (onClient && use.bag === 'player');
+  }
+}
+
+/**
+ * Collect the types a value puts in every place of a key: the key itself, the fields of its tables (`key.field`)
+ * and the elements of its arrays (`key[]`)
+ * @param {Object} shape - Shape of the value, see table_shape.js
+ * @param {string} place - Name of the place the shape is in
+ * @param {Map} types - Map of place to Set of types, filled in
+ */
+function collectShapeTypes(shape, place, types) {
+  if (!types.has(place)) types.set(place, new Set());
+  for (const member of getTypeMembers(shape.type)) {
+    types.get(place).add(member);
+  }
+
+  if (shape.type !== 'table') return;
+
+  for (const [name, field] of shape.fields || []) {
+    collectShapeTypes(field, `${place}.${name}`, types);
+  }
+  if (shape.element) {
+    collectShapeTypes(shape.element, `${place}[]`, types);
+  }
+}
+
+/**
+ * Rank where the type of a key comes from, a type of a higher rank replaces one of a lower rank:
+ * a `---@type` or `---@statebag` annotation, the written values, or nothing for keys that are only read
+ * @param {Object} info - Type info of a key, or a state definition
+ * @returns {number}
+ */
+function getTypeRank(info) {
+  if (info.declared) return 2;
+  return info.written || info.access === 'write' ? 1 : 0;
+}
+
 /**
- * Generates Lua type definition files for StateBag variables (GlobalState, Player.state, LocalPlayer.state)
+ * Names of the bags in conflict reports, Player and LocalPlayer states share one bag
+ */
+const BAG_NAMES = {
+  global: 'GlobalState',
+  player: 'Player',
+  entity: 'Entity'
+};
+
+/**
+ * Example values longer than this are cut off in the field docs
+ */
+const MAX_EXAMPLE_LENGTH = 40;
+
+/**
+ * Number of example values and locations listed per key, the rest are counted
+ */
+const MAX_LISTED = 3;
+
+/**
+ * Describe how a write to a state bag is replicated, from the side it runs on and its replicated flag
+ * @param {Object} use - A write of the key, see StateBagGenerator.addStates
+ * @returns {string}
+ */
+function describeReplication(use) {
+  if (use.context === 'server') return use.replicated ? 'server → clients' : 'server only';
+  if (use.context === 'client') return use.replicated ? 'client → server' : 'client only';
+  return use.replicated ? 'replicated' : 'not replicated';
+}
+
+/**
+ * List values, naming how many were left out
+ * @param {Array} items
+ * @returns {string}
+ */
+function formatList(items) {
+  const listed = items.slice(0, MAX_LISTED).join(', ');
+  return items.length > MAX_LISTED ? `${listed} and ${items.length - MAX_LISTED} more` : listed;
+}
+
+/**
+ * Generates Lua type definition files for StateBag variables (GlobalState, Player.state, LocalPlayer.state, Entity.state)
  */
 export class StateBagGenerator {
-  constructor() {
+  /**
+   * @param {Array} [sourceRoots] - Directories locations in the field docs are shown relative to
+   */
+  constructor(sourceRoots = []) {
+    this.sourceRoots = sourceRoots;
     this.globalStates = new Map(); // Map of state name to type info
     this.playerStates = new Map(); // Map of Player state name to type info
     this.localPlayerStates = new Map(); // Map of LocalPlayer state name to type info
+    this.entityStates = new Map(); // Map of Entity state name to type info
   }
 
   /**
@@ -14,30 +163,7 @@ export class StateBagGenerator {
    * @param {string} resourceName - Name of the resource
    */
   addGlobalStates(states, resourceName) {
-    for (const state of states) {
-      const existing = this.globalStates.get(state.name);
-
-      if (existing) {
-        // If we've seen this GlobalState before, track which resources use it
-        if (!existing.resources.includes(resourceName)) {
-          existing.resources.push(resourceName);
-        }
-
-        // If types differ, use 'any' as a fallback
-        if (existing.type !== state.type) {
-          existing.type = 'any';
-        }
-      } else {
-        // First time seeing this GlobalState
-        this.globalStates.set(state.name, {
-          name: state.name,
-          type: state.type,
-          context: state.context,
-          resources: [resourceName],
-          value: state.value
-        });
-      }
-    }
+    this.addStates(this.globalStates, states, resourceName);
   }
 
   /**
@@ -46,74 +172,155 @@ export class StateBagGenerator {
    * @param {string} resourceName - Name of the resource
    */
   addPlayerStates(states, resourceName) {
-    for (const state of states) {
-      const existing = this.playerStates.get(state.name);
+    this.addStates(this.playerStates, states, resourceName);
+  }
 
-      if (existing) {
-        if (!existing.resources.includes(resourceName)) {
-          existing.resources.push(resourceName);
-        }
+  /**
+   * Add LocalPlayer state definitions from a resource
+   * @param {Array} states - Array of LocalPlayer state definitions
+   * @param {string} resourceName - Name of the resource
+   */
+  addLocalPlayerStates(states, resourceName) {
+    this.addStates(this.localPlayerStates, states, resourceName);
+  }
 
-        if (existing.type !== state.type) {
-          existing.type = 'any';
-        }
-      } else {
-        this.playerStates.set(state.name, {
-          name: state.name,
-          type: state.type,
-          context: state.context,
-          resources: [resourceName],
-          value: state.value,
-          replicated: state.replicated
-        });
+  /**
+   * Add Entity state definitions from a resource
+   * @param {Array} states - Array of Entity state definitions
+   * @param {string} resourceName - Name of the resource
+   */
+  addEntityStates(states, resourceName) {
+    this.addStates(this.entityStates, states, resourceName);
+
+    for (const state of states) {
+      const existing = this.entityStates.get(state.name);
+      if (state.entityType && !existing.entityTypes.includes(state.entityType)) {
+        existing.entityTypes.push(state.entityType);
       }
     }
   }
 
   /**
-   * Add LocalPlayer state definitions from a resource
-   * @param {Array} states - Array of LocalPlayer state definitions
+   * Add the state definitions of a resource to the type info of a bag
+   * Every use is kept with its location, so the generated fields can tell who writes a key and how
+   * @param {Map} bag - Map of state name to type info
+   * @param {Array} states - State definitions from the parser
    * @param {string} resourceName - Name of the resource
    */
-  addLocalPlayerStates(states, resourceName) {
+  addStates(bag, states, resourceName) {
     for (const state of states) {
-      const existing = this.localPlayerStates.get(state.name);
+      let existing = bag.get(state.name);
 
       if (existing) {
-        if (!existing.resources.includes(resourceName)) {
-          existing.resources.push(resourceName);
-        }
-
-        if (existing.type !== state.type) {
-          existing.type = 'any';
-        }
+        this.mergeStateType(existing, state);
       } else {
-        this.localPlayerStates.set(state.name, {
+        // First time seeing this key
+        existing = {
           name: state.name,
           type: state.type,
+          written: state.access === 'write',
+          declared: state.declared,
           context: state.context,
-          resources: [resourceName],
+          resources: [],
           value: state.value,
-          replicated: state.replicated
-        });
+          shape: state.shape,
+          replicated: state.replicated,
+          entityTypes: [],
+          uses: []
+        };
+        bag.set(state.name, existing);
       }
+
+      // Track which resources use the key
+      if (!existing.resources.includes(resourceName)) {
+        existing.resources.push(resourceName);
+      }
+
+      existing.uses.push({
+        resourceName,
+        access: state.access,
+        type: state.type,
+        context: state.context,
+        value: state.value,
+        shape: state.shape,
+        replicated: state.replicated,
+        description: state.description,
+        filePath: state.filePath,
+        line: state.line
+      });
+    }
+  }
+
+  /**
+   * Merge another use of a known key into its type info
+   * Reads and change handlers only tell that a key exists, its type comes from the writes,
+   * and annotated types (see getTypeRank) replace the written ones
+   * @param {Object} existing - Type info of the key
+   * @param {Object} state - State definition of the other use, or type info of the same key in another bag
+   */
+  mergeStateType(existing, state) {
+    const rank = getTypeRank(state);
+    const current = getTypeRank(existing);
+    if (rank === 0 || rank < current) return;
+
+    if (rank > current) {
+      existing.type = state.type;
+      existing.written = existing.written || state.written || state.access === 'write';
+      existing.declared = state.declared;
+      existing.context = state.context;
+      existing.value = state.value;
+      existing.shape = state.shape;
+      existing.replicated = state.replicated;
+    } else {
+      this.mergeWrittenType(existing, state);
     }
   }
 
   /**
-   * Generate type definition files for StateBags (GlobalState, Player.state, LocalPlayer.state)
+   * Merge the type of another write into a key that was already written
+   * Tables are merged field by field, other differing types become a union (see getConflicts for the ones that
+   * are probably a mistake), a table written as nil elsewhere keeps its shape and becomes optional
+   * @param {Object} existing - Type info of the key
+   * @param {Object} state - State definition or type info of the other write
+   */
+  mergeWrittenType(existing, state) {
+    if (existing.shape && state.shape) {
+      existing.shape = mergeShapes(existing.shape, state.shape);
+    } else {
+      existing.shape = existing.shape || state.shape;
+    }
+
+    existing.type = unionTypes(existing.type, state.type);
+
+    // Only a table (or nil) can keep the shape of a table
+    const members = getTypeMembers(existing.type);
+    members.delete('nil');
+    if (members.size !== 1 || !members.has('table')) {
+      existing.shape = null;
+    }
+  }
+
+  /**
+   * Generate type definition files for StateBags (GlobalState, Player.state, LocalPlayer.state, Entity.state)
    * @returns {Object} Map of filename to content
    */
   generate() {
     const files = {};
 
-    if (this.globalStates.size === 0 && this.playerStates.size === 0 && this.localPlayerStates.size === 0) {
+    if (this.getTotalCount() === 0) {
       return files;
     }
 
     // Generate the main state type definition file
     files['shared.lua'] = this.generateStateFile();
 
+    // Player() is the same function on both sides, but its bag holds different keys on each
+    if (this.playerStates.size > 0 || this.localPlayerStates.size > 0) {
+      for (const side of Object.keys(PLAYER_SIDES)) {
+        files[`${side}/player.lua`] = this.generatePlayerFile(side);
+      }
+    }
+
     return files;
   }
 
@@ -134,6 +341,11 @@ export class StateBagGenerator {
       content += this.generatePlayerStateSection();
     }
 
+    // Entity State Section
+    if (this.entityStates.size > 0) {
+      content += this.generateEntityStateSection();
+    }
+
     return content;
   }
 
@@ -150,24 +362,30 @@ export class StateBagGenerator {
       a.name.localeCompare(b.name)
     );
 
+    const { types, classes } = this.resolveStateTypes(sortedGlobalStates, 'GlobalState');
+
     for (const state of sortedGlobalStates) {
-      content += `---@field ${state.name} ${state.type}\n`;
+      content += this.formatField(state, types.get(state.name));
     }
 
     content += '\n---@type GlobalStateTable\n';
     content += 'GlobalState = {}\n\n';
 
+    if (classes) {
+      content += classes + '\n';
+    }
+
     return content;
   }
 
   /**
    * Generate the Player/LocalPlayer state section of the type definition file
+   * Each place a player's bag is used from gets its own class with only the keys that are visible there:
+   * Player(x).state on the server, LocalPlayer.state on a client, and Player(x).state of another player on a client
    * @returns {string}
    */
   generatePlayerStateSection() {
     let content = '';
-    content += '---Player state table\n';
-    content += '---@class StateBagInterface\n';
 
     // Merge all player and local player states
     const allStates = this.mergePlayerStates();
@@ -176,10 +394,10 @@ export class StateBagGenerator {
       a.name.localeCompare(b.name)
     );
 
-    for (const state of sortedStates) {
-      content += `---@field ${state.name} ${state.type}\n`;
-    }
+    const { types, classes } = this.resolveStateTypes(sortedStates, 'PlayerState');
 
+    content += '---Player state bag\n';
+    content += '---@class StateBagInterface\n';
     content += '---@field set fun(self: any, key: string, value: any, replicated?: boolean)\n';
 
     content += '\n---Set a state bag value\n';
@@ -188,70 +406,344 @@ export class StateBagGenerator {
     content += '---@param replicated boolean Whether to replicate to clients (server) or server (client)\n';
     content += 'function StateBagInterface:set(key, value, replicated) end\n\n';
 
-    content += '---@class PlayerTable\n';
-    content += '---@field state StateBagInterface\n';
+    const views = Object.entries(PLAYER_VIEWS).map(([view, { className, description }]) => {
+      let viewClass = description.map(line => `---${line}\n`).join('');
+      viewClass += `---@class ${className} : StateBagInterface\n`;
+
+      for (const state of sortedStates.filter(state => state.uses.some(use => isVisibleIn(use, view)))) {
+        viewClass += this.formatField(state, types.get(state.name));
+      }
+      return viewClass;
+    });
+    content += views.join('\n');
+
+    if (classes) {
+      content += '\n' + classes;
+    }
+
+    return content;
+  }
+
+  /**
+   * Generate the declarations of Player() and LocalPlayer for one side, in a folder of its own
+   * so a workspace can load only the side its code runs on
+   * @param {string} side - client or server
+   * @returns {string}
+   */
+  generatePlayerFile(side) {
+    const { className } = PLAYER_VIEWS[PLAYER_SIDES[side]];
+    const tableName = side === 'server' ? 'ServerPlayerTable' : 'RemotePlayerTable';
+
+    let content = '---@meta\n\n';
+    content += `---@class ${tableName}\n`;
+    content += `---@field state ${className}\n\n`;
     content += '---@param serverId number\n';
-    content += '---@return PlayerTable\n';
-    content += 'function Player(serverId) end\n\n';
+    content += `---@return ${tableName}\n`;
+    content += 'function Player(serverId) end\n';
+
+    if (side === 'client') {
+      content += '\n---@class LocalPlayerTable\n';
+      content += `---@field state ${PLAYER_VIEWS.local.className}\n`;
+      content += '\n---@type LocalPlayerTable\n';
+      content += 'LocalPlayer = {}\n';
+    }
+
+    return content;
+  }
+
+  /**
+   * Generate the Entity state section of the type definition file
+   * EntityStateBag holds every key, the vehicle/ped/object classes only the keys set on that kind of entity
+   * and can be used to narrow a bag: `local state = Entity(vehicle).state --[[@as VehicleStateBag]]`
+   * @returns {string}
+   */
+  generateEntityStateSection() {
+    let content = '';
+
+    // Separate the Player section, which doesn't end with a blank line
+    if (this.playerStates.size > 0 || this.localPlayerStates.size > 0) {
+      content += '\n';
+    }
+
+    const sortedStates = Array.from(this.entityStates.values()).sort((a, b) =>
+      a.name.localeCompare(b.name)
+    );
+
+    const { types, classes } = this.resolveStateTypes(sortedStates, 'EntityState');
+
+    content += '---Entity state table\n';
+    content += this.generateEntityClass('EntityStateBag', sortedStates, types);
+
+    for (const [entityType, className] of Object.entries(ENTITY_CLASSES)) {
+      const states = sortedStates.filter(state => state.entityTypes.includes(entityType));
+
+      if (states.length > 0) {
+        content += `---${entityType.charAt(0).toUpperCase() + entityType.slice(1)} state table\n`;
+        content += this.generateEntityClass(className, states, types, 'EntityStateBag');
+      }
+    }
+
+    content += '---@class EntityTable\n';
+    content += '---@field state EntityStateBag\n';
+    content += '---@param entity number\n';
+    content += '---@return EntityTable\n';
+    content += 'function Entity(entity) end\n';
 
-    content += '---@class LocalPlayerTable\n';
-    content += '---@field state StateBagInterface\n';
-    content += '\n---@type LocalPlayerTable\n';
-    content += 'LocalPlayer = {}\n';
+    if (classes) {
+      content += '\n' + classes;
+    }
 
     return content;
   }
 
+  /**
+   * Generate an entity state class
+   * @param {string} className
+   * @param {Array} states - States to add as fields
+   * @param {Map} types - Map of state name to type, from resolveStateTypes
+   * @param {string} [parentClass] - Class it extends, which already has the set method
+   * @returns {string}
+   */
+  generateEntityClass(className, states, types, parentClass = null) {
+    let content = `---@class ${className}${parentClass ? ` : ${parentClass}` : ''}\n`;
+
+    for (const state of states) {
+      content += this.formatField(state, types.get(state.name));
+    }
+
+    if (!parentClass) {
+      content += '---@field set fun(self: any, key: string, value: any, replicated?: boolean)\n';
+    }
+
+    return content + '\n';
+  }
+
+  /**
+   * Format the field of a state key, documented with who writes it, where, how it replicates and example values
+   * @param {Object} state - Type info of the key
+   * @param {string} type - Lua type of the key, from resolveStateTypes
+   * @returns {string}
+   */
+  formatField(state, type) {
+    let content = '';
+
+    for (const line of this.describeState(state)) {
+      content += `---${line}\n`;
+    }
+
+    return content + `---@field ${state.name} ${type}\n`;
+  }
+
+  /**
+   * Describe the provenance of a state key as Markdown list items
+   * @param {Object} state - Type info of the key
+   * @returns {Array} Lines without the comment prefix
+   */
+  describeState(state) {
+    // Files are parsed in any order (workers, cache), the description lists the uses by location
+    const uses = [...state.uses].sort((a, b) => a.filePath.localeCompare(b.filePath) || a.line - b.line);
+    const writes = uses.filter(use => use.access === 'write');
+    const declarations = uses.filter(use => use.access === 'declare');
+    const lines = [];
+
+    // Descriptions of the declarations come first, then those of the writes
+    for (const use of [...declarations, ...writes]) {
+      for (const line of use.description ? use.description.split('\n') : []) {
+        if (!lines.includes(line)) lines.push(line);
+      }
+    }
+
+    if (declarations.length > 0) {
+      const locations = declarations.map(use => `\`${use.resourceName}\` (${this.formatLocation(use)})`);
+      lines.push(`* Declared by: ${formatList([...new Set(locations)])}`);
+    }
+
+    if (writes.length === 0) {
+      const reads = uses
+        .filter(use => use.access !== 'declare')
+        .map(use => `\`${use.resourceName}\` (${this.formatLocation(use)})`);
+      if (reads.length > 0) lines.push(`* Read by: ${formatList([...new Set(reads)])}`);
+      lines.push('* Never written by the scanned resources');
+      return lines;
+    }
+
+    const locations = writes.map(use => `\`${use.resourceName}\` (${this.formatLocation(use)})`);
+    const sides = [...new Set(writes.map(use => use.context))].sort();
+    const replication = [...new Set(writes.map(describeReplication))];
+    const examples = [...new Set(writes.map(use => use.value.replace(/\s+/g, ' ').trim()).filter(Boolean))]
+      .map(value => value.length > MAX_EXAMPLE_LENGTH ? `${value.substring(0, MAX_EXAMPLE_LENGTH - 1)}…` : value)
+      .map(value => `\`${value}\``);
+
+    lines.push(`* Set by: ${formatList([...new Set(locations)])}`);
+    lines.push(`* Written on: ${sides.join(', ')}`);
+    lines.push(`* Replication: ${replication.join(', ')}`);
+    if (examples.length > 0) {
+      lines.push(`* Examples: ${formatList(examples)}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Format the location of a use, relative to the source root it is in
+   * @param {Object} use
+   * @returns {string} e.g. server/main.lua:12
+   */
+  formatLocation(use) {
+    let file = use.filePath;
+    const root = this.sourceRoots.find(dir => !path.relative(dir, file).startsWith('..'));
+    if (root && path.isAbsolute(file)) file = path.relative(root, file);
+
+    return `${file.split(path.sep).join('/')}:${use.line}`;
+  }
+
+  /**
+   * Get the Lua type of every state, tables with a known shape become classes named after the bag and key
+   * so their fields autocomplete, e.g. GlobalState.weather
+   * @param {Array} states
+   * @param {string} prefix - Class name prefix of the bag, e.g. GlobalState
+   * @returns {Object} { types: Map of state name to type, classes: the generated class definitions }
+   */
+  resolveStateTypes(states, prefix) {
+    const types = new Map();
+    const classes = [];
+
+    for (const state of states) {
+      let type = state.type;
+
+      if (state.shape) {
+        type = this.formatShape(state.shape, `${prefix}.${state.name}`, classes);
+        if (getTypeMembers(state.type).has('nil')) type = type.includes('|') ? `(${type})?` : `${type}?`;
+      }
+      types.set(state.name, type);
+    }
+
+    return { types, classes: classes.join('\n') };
+  }
+
+  /**
+   * Format a shape as a Lua type, adding a class for every table with named fields
+   * Arrays become `element[]`, their element class is named after the array with `.item` appended
+   * @param {Object} shape - See table_shape.js
+   * @param {string} className - Class name to use if the shape is a table with named fields
+   * @param {Array} classes - Collects the generated classes, a table before the tables nested in it
+   * @returns {string}
+   */
+  formatShape(shape, className, classes) {
+    if (shape.type !== 'table') return shape.type;
+    if (isEmptyTable(shape)) return 'table';
+
+    if (shape.fields.size === 0) {
+      const element = this.formatShape(shape.element, `${className}.item`, classes);
+      return element.includes('|') ? `(${element})[]` : `${element}[]`;
+    }
+
+    // Reserve the slot first so nested classes come after this one
+    const index = classes.push('') - 1;
+    let content = `---@class ${className}\n`;
+
+    const fields = Array.from(shape.fields.entries()).sort(([a], [b]) => a.localeCompare(b));
+    for (const [name, field] of fields) {
+      content += `---@field ${name}${field.optional ? '?' : ''} ${this.formatShape(field, `${className}.${name}`, classes)}\n`;
+    }
+
+    if (shape.element) {
+      content += `---@field [integer] ${this.formatShape(shape.element, `${className}.item`, classes)}\n`;
+    }
+
+    classes[index] = content;
+    return className;
+  }
+
   /**
    * Merge Player and LocalPlayer states into a unified map
-   * Handles conflicts by merging contexts and replication info
+   * The uses of both bags are kept, so the field docs list every write and how it replicates
    * @returns {Map} Merged state map
    */
   mergePlayerStates() {
     const allStates = new Map();
 
-    // Add all Player() states
+    // Add all Player() states, uses remember their bag to tell which player classes see the key
     for (const [name, state] of this.playerStates) {
-      allStates.set(name, {
-        ...state,
-        contexts: ['server'],
-        replication: state.replicated ? 'to client' : 'server only'
-      });
+      allStates.set(name, { ...state, resources: [...state.resources], uses: state.uses.map(use => ({ ...use, bag: 'player' })) });
     }
 
     // Add all LocalPlayer states
     for (const [name, state] of this.localPlayerStates) {
       const existing = allStates.get(name);
       if (existing) {
-        // Already exists, merge contexts
-        existing.contexts.push('client');
-
-        // Update replication info
-        if (state.replicated) {
-          if (existing.replication === 'server only') {
-            existing.replication = 'bidirectional';
-          } else if (existing.replication === 'to client') {
-            existing.replication = 'bidirectional';
-          }
-        }
-
-        // If types differ, use 'any'
-        if (existing.type !== state.type) {
-          existing.type = 'any';
+        // Already exists, merge resources and uses
+        for (const resourceName of state.resources) {
+          if (!existing.resources.includes(resourceName)) existing.resources.push(resourceName);
         }
+        existing.uses.push(...state.uses.map(use => ({ ...use, bag: 'localPlayer' })));
+        this.mergeStateType(existing, state);
       } else {
         // Add as new state
-        allStates.set(name, {
-          ...state,
-          contexts: ['client'],
-          replication: state.replicated ? 'to server' : 'client only'
-        });
+        allStates.set(name, { ...state, resources: [...state.resources], uses: state.uses.map(use => ({ ...use, bag: 'localPlayer' })) });
       }
     }
 
     return allStates;
   }
 
+  /**
+   * Get the state keys that are written with incompatible types, which is usually a bug
+   * Tables written to a key are checked too: a field or the array elements holding different types
+   * are reported with the name of that place, e.g. `key.field` or `key[]`
+   * Writing nil clears a key and values of unknown type (any) could be anything, neither counts as a conflict,
+   * and keys with an annotated type are typed by the annotation whatever is written
+   * @returns {Array} Array of { bag, name, types, writes }, writes being { resourceName, type, filePath, line, location }
+   * with the type the write puts in that place
+   */
+  getConflicts() {
+    const conflicts = [];
+    const bags = [
+      ['global', this.globalStates],
+      ['player', this.mergePlayerStates()],
+      ['entity', this.entityStates]
+    ];
+
+    for (const [bag, states] of bags) {
+      for (const state of [...states.values()].sort((a, b) => a.name.localeCompare(b.name))) {
+        if (state.declared) continue;
+
+        const writes = state.uses.filter(use => use.access === 'write');
+        const writeTypes = writes.map(use => {
+          const types = new Map();
+          collectShapeTypes(use.shape || { type: use.type }, state.name, types);
+          return types;
+        });
+
+        for (const place of new Set(writeTypes.flatMap(types => [...types.keys()]))) {
+          const types = new Set(writeTypes.flatMap(placeTypes => [...(placeTypes.get(place) || [])]));
+          const conflicting = [...types].filter(type => type !== 'nil' && type !== 'any').sort();
+          if (conflicting.length < 2) continue;
+
+          conflicts.push({
+            bag: BAG_NAMES[bag],
+            name: place,
+            types: conflicting,
+            writes: writes.flatMap((use, index) => {
+              const placeTypes = writeTypes[index].get(place);
+              if (!placeTypes) return [];
+
+              return [{
+                resourceName: use.resourceName,
+                type: [...placeTypes].reduce(unionTypes),
+                filePath: use.filePath,
+                line: use.line,
+                location: this.formatLocation(use)
+              }];
+            })
+          });
+        }
+      }
+    }
+
+    return conflicts;
+  }
+
   /**
    * Get count of unique GlobalState variables found
    * @returns {number}
@@ -276,11 +768,38 @@ export class StateBagGenerator {
     return this.localPlayerStates.size;
   }
 
+  /**
+   * Get count of unique Entity state variables found
+   * @returns {number}
+   */
+  getEntityStateCount() {
+    return this.entityStates.size;
+  }
+
   /**
    * Get total count of all state variables
    * @returns {number}
    */
   getTotalCount() {
-    return this.globalStates.size + this.playerStates.size + this.localPlayerStates.size;
+    return this.globalStates.size + this.playerStates.size + this.localPlayerStates.size + this.entityStates.size;
   }
 }
+
+/**
+ * Format state type conflicts for the console
+ * @param {Array} conflicts - Conflicts from StateBagGenerator.getConflicts
+ * @returns {string}
+ */
+export function formatStateConflicts(conflicts) {
+  let output = '';
+
+  for (const conflict of conflicts) {
+    output += `  ${conflict.bag}.${conflict.name}: ${conflict.types.join(', ')}\n`;
+
+    for (const write of conflict.writes) {
+      output += `    - ${write.type} at ${write.location} (${write.resourceName})\n`;
+    }
+  }
+
+  return output;
+}
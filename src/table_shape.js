@@ -0,0 +1,97 @@
+import { splitTopLevel } from './type_conversion.js';
+
+/**
+ * Shapes describe the structure of a value:
+ * - { type } for anything that isn't a table literal, e.g. { type: 'string' }
+ * - { type: 'table', fields, element } for table literals, fields being a Map of key to shape
+ *   and element the shape of the array part (null when there is none)
+ * A field present in only some of the merged tables (or nil in some of them) is marked `optional`
+ */
+
+/**
+ * Get the members of a union type, `string?` counting as string and nil
+ * @param {string} type
+ * @returns {Set}
+ */
+export function getTypeMembers(type) {
+  const members = new Set();
+
+  for (const part of splitTopLevel(type, '|')) {
+    if (part.endsWith('?')) {
+      members.add(part.slice(0, -1));
+      members.add('nil');
+    } else {
+      members.add(part);
+    }
+  }
+
+  return members;
+}
+
+/**
+ * Combine two types into a union, e.g. `boolean` and `nil` into `boolean?`, `number` and `string` into `number|string`
+ * `any` absorbs every other type
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
+ */
+export function unionTypes(a, b) {
+  const members = new Set([...getTypeMembers(a), ...getTypeMembers(b)]);
+  if (members.has('any')) return 'any';
+
+  const nullable = members.delete('nil');
+  const types = [...members].sort();
+
+  if (types.length === 0) return 'nil';
+  if (!nullable) return types.join('|');
+  return types.length === 1 ? `${types[0]}?` : `${types.join('|')}|nil`;
+}
+
+/**
+ * Check whether a shape is a table that says nothing about its structure, e.g. `{}`
+ * @param {Object} shape
+ * @returns {boolean}
+ */
+export function isEmptyTable(shape) {
+  return shape.type === 'table' && (!shape.fields || shape.fields.size === 0) && !shape.element;
+}
+
+/**
+ * Merge the shapes of two values stored in the same place, e.g. two elements of an array
+ * Values of different types become a union, a table only keeps its fields when the other value is a table or nil
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object} The shape both values fit
+ */
+export function mergeShapes(a, b) {
+  if (a.type !== b.type) {
+    if (a.type === 'nil') return { ...b, optional: true };
+    if (b.type === 'nil') return { ...a, optional: true };
+    return { type: unionTypes(a.type, b.type) };
+  }
+  if (a.type !== 'table') return a;
+
+  // An empty table is usually filled later, the other table tells what goes in it
+  if (isEmptyTable(a)) return b;
+  if (isEmptyTable(b)) return a;
+
+  const fields = new Map();
+  for (const name of new Set([...a.fields.keys(), ...b.fields.keys()])) {
+    const left = a.fields.get(name);
+    const right = b.fields.get(name);
+
+    if (left && right) {
+      const merged = mergeShapes(left, right);
+      fields.set(name, left.optional || right.optional ? { ...merged, optional: true } : merged);
+    } else {
+      fields.set(name, { ...(left || right), optional: true });
+    }
+  }
+
+  let element = a.element || b.element;
+  if (a.element && b.element) {
+    element = mergeShapes(a.element, b.element);
+  }
+
+  return { type: 'table', fields, element };
+}
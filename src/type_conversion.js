@@ -0,0 +1,263 @@
+/**
+ * LuaLS types with a direct TypeScript counterpart
+ */
+const LUA_TO_TS = {
+  string: 'string',
+  number: 'number',
+  integer: 'number',
+  boolean: 'boolean',
+  any: 'any',
+  unknown: 'unknown',
+  nil: 'null',
+  void: 'void',
+  table: 'Record<string, any>',
+  function: '(...args: any[]) => any',
+  userdata: 'any',
+  thread: 'any',
+  lightuserdata: 'any',
+  vector2: 'number[]',
+  vector3: 'number[]',
+  vector4: 'number[]'
+};
+
+/**
+ * TypeScript types with a direct LuaLS counterpart
+ */
+const TS_TO_LUA = {
+  string: 'string',
+  number: 'number',
+  bigint: 'number',
+  boolean: 'boolean',
+  true: 'boolean',
+  false: 'boolean',
+  any: 'any',
+  unknown: 'any',
+  object: 'table',
+  null: 'nil',
+  undefined: 'nil',
+  void: 'nil',
+  never: 'nil',
+  Function: 'function',
+  Object: 'table',
+  Array: 'any[]'
+};
+
+/**
+ * Type names every TypeScript project knows without the declarations of the resource that exports them
+ */
+const TS_GLOBAL_TYPES = new Set([
+  'string', 'number', 'bigint', 'boolean', 'symbol', 'object', 'any', 'unknown', 'void', 'null', 'undefined', 'never',
+  'true', 'false', 'this', 'keyof', 'typeof', 'readonly', 'unique', 'infer', 'extends', 'in', 'is', 'asserts',
+  'Array', 'ReadonlyArray', 'Record', 'Promise', 'Partial', 'Required', 'Readonly', 'Pick', 'Omit', 'Exclude',
+  'Extract', 'NonNullable', 'ReturnType', 'Parameters', 'Awaited', 'Map', 'Set', 'Date', 'Function', 'Object',
+  'Uint8Array', 'Buffer'
+]);
+
+/**
+ * Split a type at the top level occurrences of a separator, ignoring the ones inside brackets and strings
+ * @param {string} type
+ * @param {string} separator - Single character, e.g. `|` or `,`
+ * @returns {Array} Trimmed parts
+ */
+export function splitTopLevel(type, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let index = 0; index < type.length; index++) {
+    const char = type[index];
+
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if ('(<{['.includes(char)) {
+      depth++;
+    } else if (')>}]'.includes(char) && type[index - 1] !== '=') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  parts.push(current.trim());
+  return parts.filter(part => part !== '');
+}
+
+/**
+ * Convert a LuaLS type to the closest TypeScript type
+ * Custom classes and aliases become `any` unless the declarations have a counterpart for them
+ * @param {string} type - e.g. `string|number?`, `table<string, Job>`, `fun(id: number): boolean`
+ * @param {Set} [generics] - Names of generic parameters, which are kept as they are
+ * @param {Map} [types] - Map of custom type name to the name of its TypeScript declaration
+ * @returns {string}
+ */
+export function luaToTsType(type, generics = new Set(), types = new Map()) {
+  const parts = splitTopLevel(type.trim(), '|').map(part => {
+    if (part.endsWith('?')) {
+      return [convertLuaPart(part.slice(0, -1).trim(), generics, types), 'null'];
+    }
+    return [convertLuaPart(part, generics, types)];
+  }).flat();
+
+  return [...new Set(parts)].join(' | ') || 'any';
+}
+
+/**
+ * Convert a single member of a LuaLS union
+ * @param {string} part
+ * @param {Set} generics
+ * @param {Map} types
+ * @returns {string}
+ */
+function convertLuaPart(part, generics, types) {
+  if (/^(["']).*\1$/.test(part) || /^-?\d+(\.\d+)?$/.test(part) || part === 'true' || part === 'false') {
+    return part;
+  }
+
+  if (part.endsWith('[]')) {
+    const element = luaToTsType(part.slice(0, -2), generics, types);
+    return /^[\w.]+$/.test(element) ? `${element}[]` : `(${element})[]`;
+  }
+
+  if (part.startsWith('(') && part.endsWith(')')) {
+    return `(${luaToTsType(part.slice(1, -1), generics, types)})`;
+  }
+
+  const tableMatch = part.match(/^table<(.*)>$/);
+  if (tableMatch) {
+    const [keyType = 'any', valueType = 'any'] = splitTopLevel(tableMatch[1], ',');
+    const key = luaToTsType(keyType, generics, types);
+    return `Record<${['string', 'number'].includes(key) ? key : 'string'}, ${luaToTsType(valueType, generics, types)}>`;
+  }
+
+  if (part.startsWith('fun(')) {
+    return convertLuaFunction(part, generics, types);
+  }
+
+  if (part.startsWith('{') && part.endsWith('}')) {
+    const fields = splitTopLevel(part.slice(1, -1), ',').map(field => {
+      const [name, ...valueParts] = field.split(':');
+      return `${name.trim()}: ${luaToTsType(valueParts.join(':') || 'any', generics, types)}`;
+    });
+    return `{ ${fields.join('; ')} }`;
+  }
+
+  if (LUA_TO_TS[part]) return LUA_TO_TS[part];
+  if (generics.has(part)) return part;
+  if (types.has(part)) return types.get(part);
+
+  return 'any';
+}
+
+/**
+ * Convert a LuaLS function type, e.g. `fun(id: number, name?: string): boolean`
+ * @param {string} part
+ * @param {Set} generics
+ * @param {Map} types
+ * @returns {string}
+ */
+function convertLuaFunction(part, generics, types) {
+  let depth = 0;
+  let close = 3;
+  for (; close < part.length; close++) {
+    if (part[close] === '(') depth++;
+    if (part[close] === ')' && --depth === 0) break;
+  }
+
+  const params = splitTopLevel(part.substring(4, close), ',').map((param, index) => {
+    const [rawName, ...typeParts] = param.split(':');
+    const name = rawName.trim();
+    const type = luaToTsType(typeParts.join(':') || 'any', generics, types);
+
+    if (name === '...') return `...args: ${/^[\w.]+$/.test(type) ? type : `(${type})`}[]`;
+    if (name.endsWith('?')) return `${name.slice(0, -1)}?: ${type}`;
+    return `${name || `arg${index + 1}`}: ${type}`;
+  });
+
+  const returnText = part.substring(close + 1).trim().replace(/^:/, '');
+  const returns = returnText ? splitTopLevel(returnText, ',').map(ret => luaToTsType(ret, generics, types)) : [];
+  const returnType = returns.length === 0 ? 'void' : returns.length === 1 ? returns[0] : `[${returns.join(', ')}]`;
+
+  return `((${params.join(', ')}) => ${returnType})`;
+}
+
+/**
+ * Convert a TypeScript type to the closest LuaLS type
+ * Types that don't exist in the Lua definitions (interfaces, Promise, mapped types, ...) become `any`
+ * @param {string} type
+ * @returns {string}
+ */
+export function tsToLuaType(type) {
+  const parts = splitTopLevel(type.trim(), '|').map(convertTsPart);
+
+  // undefined and null in a union make it optional
+  const optional = parts.includes('nil') && parts.length > 1;
+  const types = [...new Set(parts.filter(part => part !== 'nil'))];
+
+  if (types.length === 0) return 'nil';
+  if (types.includes('any')) return optional ? 'any?' : 'any';
+
+  const union = types.join('|');
+  if (!optional) return union;
+  return types.length === 1 ? `${union}?` : `(${union})?`;
+}
+
+/**
+ * Convert a single member of a TypeScript union
+ * @param {string} part
+ * @returns {string}
+ */
+function convertTsPart(part) {
+  if (/^(["']).*\1$/.test(part)) return `"${part.slice(1, -1)}"`;
+  if (/^-?\d+(\.\d+)?$/.test(part)) return part;
+
+  if (part.startsWith('(') && part.endsWith(')') && !part.includes('=>')) {
+    return tsToLuaType(part.slice(1, -1));
+  }
+
+  if (part.includes('=>')) return 'function';
+
+  if (part.endsWith('[]')) {
+    const element = tsToLuaType(part.slice(0, -2));
+    return /^[\w.]+$/.test(element) ? `${element}[]` : `(${element})[]`;
+  }
+
+  const genericMatch = part.match(/^([\w.]+)<(.*)>$/);
+  if (genericMatch) {
+    const args = splitTopLevel(genericMatch[2], ',');
+
+    if (genericMatch[1] === 'Array' || genericMatch[1] === 'ReadonlyArray') {
+      const element = tsToLuaType(args[0] || 'any');
+      return /^[\w.]+$/.test(element) ? `${element}[]` : `(${element})[]`;
+    }
+    if (genericMatch[1] === 'Record' || genericMatch[1] === 'Map') {
+      return `table<${tsToLuaType(args[0] || 'string')}, ${tsToLuaType(args[1] || 'any')}>`;
+    }
+    return 'any';
+  }
+
+  if (part.startsWith('{') || part.startsWith('[')) return 'table';
+
+  return TS_TO_LUA[part] || 'any';
+}
+
+
+/**
+ * Replace the type names a TypeScript type borrows from the file it was written in (interfaces, type aliases, ...)
+ * with `any`, as the generated declarations can't see them
+ * @param {string} type
+ * @param {Set} [generics] - Names of generic parameters, which are kept as they are
+ * @returns {string}
+ */
+export function sanitizeTsType(type, generics = new Set()) {
+  return type.replace(/(["'`])(?:\\.|(?!\1).)*\1|\b[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*(\s*\??\s*:(?!:))?/g, (match, quote, isProperty) => {
+    if (quote || isProperty) return match;
+    return TS_GLOBAL_TYPES.has(match) || generics.has(match) ? match : 'any';
+  });
+}
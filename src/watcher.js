@@ -0,0 +1,202 @@
+import fs from 'fs';
+import path from 'path';
+import { MANIFEST_FILES } from './manifest.js';
+import { logger } from './logger.js';
+
+/**
+ * Delay before a batch of file changes is processed, editors often write a file several times in a row
+ */
+const DEBOUNCE_MS = 150;
+
+/**
+ * Watches the input directories and regenerates only the outputs affected by each change
+ */
+export class Watcher {
+  /**
+   * @param {import('./workspace.js').Workspace} workspace - Workspace holding the results of the initial scan
+   * @param {import('./output.js').OutputWriter} output - Writer that wrote the output of the initial scan
+   */
+  constructor(workspace, output) {
+    this.workspace = workspace;
+    this.config = workspace.config;
+    this.inputDirs = this.config.inputDirs.map(dir => path.resolve(dir));
+    this.output = output;
+    this.pending = new Set(); // Changed paths waiting for the debounce timer
+    this.timer = null;
+    this.queue = Promise.resolve(); // Batches are processed one after another
+    this.watchers = [];
+  }
+
+  /**
+   * Start watching the input directories
+   */
+  start() {
+    for (const inputDir of this.inputDirs) {
+      try {
+        this.watchers.push(fs.watch(inputDir, { recursive: true }, (eventType, filename) => {
+          if (filename) this.onChange(path.join(inputDir, filename.toString()));
+        }));
+      } catch (error) {
+        // Recursive watching isn't available on Linux before Node 19.1, watch each directory instead
+        if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+        this.watchDirectory(inputDir);
+      }
+    }
+
+    logger.info(`\n👀 Watching ${this.inputDirs.join(', ')} for changes (Ctrl+C to stop)...`);
+  }
+
+  /**
+   * Watch a directory and all of its subdirectories without the recursive option
+   * @param {string} dirPath
+   */
+  watchDirectory(dirPath) {
+    const watcher = fs.watch(dirPath, (eventType, filename) => {
+      if (!filename) return;
+
+      const changedPath = path.join(dirPath, filename.toString());
+      if (fs.existsSync(changedPath) && fs.statSync(changedPath).isDirectory()) {
+        this.watchDirectory(changedPath);
+      }
+      this.onChange(changedPath);
+    });
+
+    // The directory itself was removed, its parent reports the change
+    watcher.on('error', () => watcher.close());
+    this.watchers.push(watcher);
+
+    for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+      if (entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+        this.watchDirectory(path.join(dirPath, entry.name));
+      }
+    }
+  }
+
+  /**
+   * Stop watching
+   */
+  close() {
+    clearTimeout(this.timer);
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+  }
+
+  /**
+   * Queue a changed path and restart the debounce timer
+   * @param {string} changedPath
+   */
+  onChange(changedPath) {
+    this.pending.add(changedPath);
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      const paths = [...this.pending];
+      this.pending.clear();
+
+      this.queue = this.queue
+        .then(() => this.applyChanges(paths))
+        .catch(error => logger.error('  ✗ Error while regenerating:', error.message));
+    }, DEBOUNCE_MS);
+  }
+
+  /**
+   * Re-parse the changed files and rewrite the outputs of the resources they belong to
+   * A path can be a file or directory that was added, changed, removed, or renamed (reported as remove + add)
+   * @param {Array} paths - Changed paths
+   */
+  async applyChanges(paths) {
+    const { workspace } = this;
+    const affectedResources = new Set();
+    const toParse = new Set();
+    let manifestsChanged = false;
+
+    for (const changedPath of paths) {
+      const exists = fs.existsSync(changedPath);
+      const isDirectory = exists && fs.statSync(changedPath).isDirectory();
+
+      if (MANIFEST_FILES.includes(path.basename(changedPath))) {
+        manifestsChanged = true;
+        continue;
+      }
+
+      // Removed file or directory, the latter also covers removed and renamed resources
+      if (!exists) {
+        const removedFile = workspace.removeFile(changedPath);
+        const removedFromDirectory = workspace.removeDirectory(changedPath);
+        manifestsChanged ||= removedFromDirectory.length > 0;
+
+        for (const result of [removedFile, ...removedFromDirectory].filter(Boolean)) {
+          affectedResources.add(result.resourceName);
+          logger.info(`  - Removed: ${result.filePath}`);
+        }
+        continue;
+      }
+
+      // Added or renamed directory, which may hold a whole resource including its manifest
+      if (isDirectory) {
+        const filePaths = await workspace.findSourceFilesIn(changedPath);
+        manifestsChanged ||= filePaths.length > 0;
+
+        for (const filePath of filePaths) {
+          toParse.add(filePath);
+        }
+        continue;
+      }
+
+      if (await workspace.isIncluded(changedPath)) {
+        toParse.add(changedPath);
+
+        // Manifest glob patterns are resolved when the manifests are read, so a new file may match one
+        manifestsChanged ||= !workspace.files.has(changedPath);
+      }
+    }
+
+    // Context and resource of already parsed files depend on the manifests
+    if (manifestsChanged) {
+      for (const filePath of await workspace.reloadManifests()) {
+        toParse.add(filePath);
+      }
+
+      for (const error of workspace.manifests.errors) {
+        logger.error(`  ✗ Error parsing ${error.filePath}:`, error.message, '(script contexts are guessed from the paths)');
+      }
+    }
+
+    for (const filePath of toParse) {
+      const previous = workspace.removeFile(filePath);
+      if (previous) {
+        affectedResources.add(previous.resourceName);
+      }
+
+      const result = workspace.parseFile(filePath);
+      affectedResources.add(result.resourceName);
+
+      if (result.error) {
+        logger.error(`  ✗ Error parsing ${filePath}:`, result.error.message);
+      } else if (result.unloaded) {
+        logger.info(`  ⚠️  Not loaded by any fxmanifest.lua: ${filePath}`);
+      } else {
+        logger.debug(`  ↻ Parsed: ${filePath}`);
+      }
+    }
+
+    if (affectedResources.size === 0) return;
+
+    // Unchanged files are skipped, files no longer generated (e.g. of a removed resource) are removed
+    for (const resourceName of affectedResources) {
+      this.output.write(path.join(this.config.outputDir, resourceName), workspace.generateResourceFiles(resourceName));
+    }
+
+    // States and events are merged across all resources, so those files are rebuilt from every file's results
+    this.output.write(path.join(this.config.outputDir, '_internal'), workspace.generateInternalFiles());
+    this.output.write(this.config.outputDir, workspace.createApiManifestBuilder().generate());
+
+    if (this.config.docsDir) {
+      this.output.write(this.config.docsDir, workspace.generateDocsFiles());
+    }
+
+    this.output.commit();
+  }
+}
@@ -0,0 +1,604 @@
+import fs from 'fs';
+import path from 'path';
+import { glob, escape } from 'glob';
+import { LuaParser } from './parser.js';
+import { JsParser } from './js_parser.js';
+import { TypeGenerator } from './generator.js';
+import { DeclarationGenerator } from './declaration_generator.js';
+import { StateBagGenerator } from './state_generator.js';
+import { EventGenerator } from './event_generator.js';
+import { CallbackGenerator } from './callback_generator.js';
+import { ManifestIndex, MANIFEST_FILES } from './manifest.js';
+import { ApiManifestBuilder, readApiManifest, API_MANIFEST_FILE } from './api_manifest.js';
+import { DocsGenerator } from './docs_generator.js';
+import { lintExports, createDiagnostic } from './linter.js';
+import { ParsePool, parseSource, getDefaultWorkerCount, MIN_FILES_PER_WORKER } from './parse_pool.js';
+import { ParseCache } from './parse_cache.js';
+import { hashContent } from './output.js';
+import { getTypeMembers } from './table_shape.js';
+
+/**
+ * Source files scanned for exports, JavaScript and TypeScript files only for exports
+ */
+const SOURCE_PATTERN = '**/*.{lua,js,mjs,cjs,ts}';
+
+/**
+ * Files matching the source pattern that are never parsed
+ */
+const IGNORED_SOURCES = ['**/*.d.ts', '**/node_modules/**'];
+
+/**
+ * Files read at once by parseFiles
+ */
+const READ_BATCH_SIZE = 64;
+
+/**
+ * Keeps the parse results of every Lua, JavaScript and TypeScript file in memory, so type files can be regenerated per resource
+ */
+export class Workspace {
+  constructor(config) {
+    this.config = config;
+    this.manifests = null;
+    this.parser = null;
+    this.jsParser = null;
+    this.files = new Map(); // Map of file path to parse result
+  }
+
+  /**
+   * Read every fxmanifest.lua so files get the context they are actually loaded in
+   * @returns {Promise<Workspace>}
+   */
+  async load() {
+    this.manifests = await new ManifestIndex(this.config.inputDirs).load(this.config.excludePatterns);
+    this.parser = new LuaParser({ manifests: this.manifests, exportHelpers: this.config.exportHelpers });
+    this.jsParser = new JsParser({ manifests: this.manifests });
+    return this;
+  }
+
+  /**
+   * Load the parse results stored in api.json manifests instead of scanning source files
+   * @param {Array} manifestPaths - Paths of api.json files
+   * @returns {Workspace}
+   * @throws {Error} When a manifest can't be read or uses an unsupported schema version
+   */
+  loadApiManifests(manifestPaths) {
+    // Manifests hold resolved exports, the parser is only needed to build the generators
+    this.parser = new LuaParser({ exportHelpers: this.config.exportHelpers });
+
+    for (const manifestPath of manifestPaths) {
+      let manifest;
+      try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+      } catch (error) {
+        throw new Error(`Could not read ${manifestPath}: ${error.message}`);
+      }
+
+      for (const result of readApiManifest(manifest, manifestPath)) {
+        this.files.set(`${result.resourceName}/${result.filePath}`, result);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Find Lua, JavaScript and TypeScript files based on configuration
+   * @param {string} [pattern] - Glob pattern relative to each input directory
+   * @param {Array} [inputDirs] - Input directories to search, all of them by default
+   * @returns {Promise<Array>} Array of file paths
+   */
+  async findSourceFiles(pattern = SOURCE_PATTERN, inputDirs = this.config.inputDirs) {
+    const { excludePatterns } = this.config;
+    const filePaths = [];
+
+    for (const inputDir of inputDirs) {
+      // Manifests are read separately by ManifestIndex, they never contain exports
+      const files = await glob(pattern, {
+        cwd: inputDir,
+        ignore: [...excludePatterns, ...IGNORED_SOURCES, ...MANIFEST_FILES.map(name => `**/${name}`)],
+        absolute: false
+      });
+
+      filePaths.push(...files.map(file => path.join(inputDir, file)));
+    }
+
+    return filePaths;
+  }
+
+  /**
+   * Find the source files inside a directory of an input directory
+   * @param {string} dirPath
+   * @returns {Promise<Array>} Array of file paths
+   */
+  async findSourceFilesIn(dirPath) {
+    const inputDir = this.getInputDir(dirPath);
+    if (!inputDir) return [];
+
+    return this.findSourceFiles(`${this.toPattern(dirPath)}/${SOURCE_PATTERN}`, [inputDir]);
+  }
+
+  /**
+   * Check whether a file would be picked up by a scan (a source file that isn't excluded)
+   * @param {string} filePath
+   * @returns {Promise<boolean>}
+   */
+  async isIncluded(filePath) {
+    const inputDir = this.getInputDir(filePath);
+    if (!inputDir || !/\.(lua|[mc]?js|ts)$/.test(filePath)) return false;
+
+    const files = await this.findSourceFiles(this.toPattern(filePath), [inputDir]);
+    return files.length > 0;
+  }
+
+  /**
+   * Get the input directory a path is in
+   * @param {string} filePath
+   * @returns {string|null}
+   */
+  getInputDir(filePath) {
+    const resolved = path.resolve(filePath);
+    return this.config.inputDirs.find(inputDir => {
+      const relativePath = path.relative(path.resolve(inputDir), resolved);
+      return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+    }) || null;
+  }
+
+  /**
+   * Check whether a file sits in a resource whose manifest never loads it
+   * Only .lua and .js files can be loaded by a manifest. TypeScript and .mjs/.cjs modules are compiled or imported
+   * into the scripts it loads, and so are the JavaScript sources of bundled resources
+   * @param {string} filePath
+   * @returns {boolean}
+   */
+  isUnloaded(filePath) {
+    if (!/\.(lua|js)$/.test(filePath) || !this.manifests.isUnloaded(filePath)) return false;
+    return filePath.endsWith('.lua') || !this.manifests.isBundled(filePath);
+  }
+
+  /**
+   * Check whether a file is parsed with the JavaScript/TypeScript parser
+   * @param {string} filePath
+   * @returns {boolean}
+   */
+  isJavaScript(filePath) {
+    return !filePath.endsWith('.lua');
+  }
+
+  /**
+   * Turn a path inside an input directory into a glob pattern that matches only that path
+   * @param {string} filePath
+   * @returns {string}
+   */
+  toPattern(filePath) {
+    const relativePath = path.relative(this.getInputDir(filePath), filePath).split(path.sep).join('/');
+    return escape(relativePath);
+  }
+
+  /**
+   * Detect resource name from file path, from the closest fxmanifest.lua or __resource.lua (see ManifestIndex)
+   * @param {string} filePath - Full path to the file
+   * @returns {string} Detected resource name
+   */
+  detectResourceName(filePath) {
+    // Use the name of the directory with the closest manifest
+    const resourceName = this.manifests.getResourceName(filePath);
+    if (resourceName) {
+      return resourceName;
+    }
+
+    const inputDirResolved = path.resolve(this.getInputDir(filePath) || path.dirname(filePath));
+
+    // Fallback: use the first directory under the input directory
+    const relativePath = path.relative(inputDirResolved, filePath);
+    const parts = relativePath.split(path.sep);
+
+    // Skip bracket folders like [qb], [standalone]
+    for (const part of parts) {
+      if (part && !part.startsWith('[')) {
+        return part;
+      }
+    }
+
+    return 'unknown_resource';
+  }
+
+  /**
+   * Create the parse result of a file before it is parsed, with where it belongs and empty arrays
+   * @param {string} filePath
+   * @returns {Object}
+   */
+  createResult(filePath) {
+    return {
+      filePath,
+      resourceName: this.detectResourceName(filePath),
+      context: this.parser.detectContext(filePath),
+      unloaded: this.isUnloaded(filePath),
+      exports: [],
+      exportTables: [],
+      globalStates: [],
+      playerStates: [],
+      localPlayerStates: [],
+      entityStates: [],
+      events: [],
+      callbacks: [],
+      typeDefinitions: [],
+      functionDefinitions: []
+    };
+  }
+
+  /**
+   * Parse a file and keep its results, replacing any previous results for it
+   * Files inside a resource that its manifest never loads are only reported
+   * @param {string} filePath
+   * @returns {Object} Parse result with resourceName, exports, state, event, callback and type definition arrays
+   */
+  parseFile(filePath) {
+    const result = this.createResult(filePath);
+
+    if (!result.unloaded) {
+      try {
+        parseSource(result, fs.readFileSync(filePath, 'utf-8'), this.parser, this.jsParser);
+      } catch (error) {
+        result.error = error;
+      }
+    }
+
+    this.files.set(filePath, result);
+    return result;
+  }
+
+  /**
+   * Parse many files and keep their results, like parseFile
+   * With the cacheFile option, files whose content didn't change since the last run reuse the cached results.
+   * The others are spread over worker threads when there are enough of them (see the workers option)
+   * @param {Array} filePaths
+   * @returns {Promise<Array>} Parse results in the order of filePaths
+   */
+  async parseFiles(filePaths) {
+    const cache = this.config.cacheFile ? new ParseCache(this.config.cacheFile, this.config.exportHelpers).load() : null;
+    const results = filePaths.map(filePath => this.createResult(filePath));
+    const pending = []; // Array of { result, content, hash } still to parse
+
+    // Reads of a batch overlap, without opening every file of a large server at once
+    for (let index = 0; index < results.length; index += READ_BATCH_SIZE) {
+      await Promise.all(results.slice(index, index + READ_BATCH_SIZE).map(async result => {
+        if (result.unloaded) return;
+
+        let content;
+        try {
+          content = await fs.promises.readFile(result.filePath, 'utf-8');
+        } catch (error) {
+          result.error = error;
+          return;
+        }
+
+        const hash = hashContent(content);
+        const cached = cache?.get(result.filePath, hash, result.context);
+
+        if (cached) {
+          Object.assign(result, cached);
+        } else {
+          pending.push({ result, content, hash });
+        }
+      }));
+    }
+
+    const workers = Math.min(this.config.workers ?? getDefaultWorkerCount(), Math.floor(pending.length / MIN_FILES_PER_WORKER));
+
+    if (workers > 0) {
+      const pool = new ParsePool(workers, { manifests: this.manifests.toData(), exportHelpers: this.config.exportHelpers });
+      const parsed = await pool.parse(pending.map(({ result, content }) => ({ result, content })));
+
+      pending.forEach(({ result }, index) => Object.assign(result, parsed[index]));
+    } else {
+      for (const { result, content } of pending) {
+        parseSource(result, content, this.parser, this.jsParser);
+      }
+    }
+
+    if (cache) {
+      for (const { result, hash } of pending) {
+        cache.set(result, hash);
+      }
+      cache.save();
+    }
+
+    for (const result of results) {
+      this.files.set(result.filePath, result);
+    }
+
+    return results;
+  }
+
+  /**
+   * Forget the results of a file
+   * @param {string} filePath
+   * @returns {Object|null} The removed parse result
+   */
+  removeFile(filePath) {
+    const result = this.files.get(filePath) || null;
+    this.files.delete(filePath);
+    return result;
+  }
+
+  /**
+   * Forget the results of every file inside a directory
+   * @param {string} dirPath
+   * @returns {Array} The removed parse results
+   */
+  removeDirectory(dirPath) {
+    const prefix = dirPath.endsWith(path.sep) ? dirPath : dirPath + path.sep;
+    const removed = [];
+
+    for (const [filePath, result] of this.files) {
+      if (filePath.startsWith(prefix)) {
+        this.files.delete(filePath);
+        removed.push(result);
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Re-read every manifest after one was added, changed or removed
+   * @returns {Promise<Array>} Paths of known files whose resource, context or loaded status changed
+   */
+  async reloadManifests() {
+    await this.load();
+
+    const changed = [];
+    for (const [filePath, result] of this.files) {
+      if (result.resourceName !== this.detectResourceName(filePath) ||
+          result.context !== this.parser.detectContext(filePath) ||
+          result.unloaded !== this.isUnloaded(filePath)) {
+        changed.push(filePath);
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Get every file that sits in a resource whose manifest never loads it
+   * @returns {Array} Array of file paths
+   */
+  getUnloadedFiles() {
+    return [...this.files.values()].filter(result => result.unloaded).map(result => result.filePath);
+  }
+
+  /**
+   * Get the names of all resources that have at least one export, or register the functions of a table as exports
+   * @returns {Set}
+   */
+  getResourceNames() {
+    const names = new Set();
+    for (const result of this.files.values()) {
+      if (result.exports.length > 0 || result.exportTables.length > 0) {
+        names.add(result.resourceName);
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Build a type generator holding every export and type definition of a resource
+   * Exports of a function defined in another file get the parameters and documentation of that definition,
+   * and tables registered in a loop also export the functions other files add to them
+   * @param {string} resourceName
+   * @returns {TypeGenerator|null} The generator, or null if the resource has no exports
+   */
+  createTypeGenerator(resourceName) {
+    const results = [...this.files.values()].filter(result => result.resourceName === resourceName);
+    if (!results.some(result => result.exports.length > 0 || result.exportTables.length > 0)) return null;
+
+    const generator = new TypeGenerator(resourceName);
+
+    // Exports can refer to a function defined in any file of the resource
+    const definitions = results.flatMap(result => result.functionDefinitions);
+
+    for (const result of results) {
+      generator.addExports(result.exports.map(exp => this.parser.resolveExportReference(exp, definitions)), result.filePath);
+
+      // Functions other files add to a global table registered in a loop
+      for (const { table, context, filePath, line } of result.exportTables) {
+        const exported = new Set(result.exports.map(exp => exp.name));
+        const otherDefinitions = definitions.filter(def => def.filePath !== filePath && !def.isLocal);
+        const tableExports = this.parser.createTableExports(table, otherDefinitions, context, filePath, line);
+
+        generator.addExports(tableExports.filter(exp => !exported.has(exp.name)), filePath);
+      }
+      generator.addTypeDefinitions(result.typeDefinitions);
+    }
+
+    return generator;
+  }
+
+  /**
+   * Generate the files of a resource's output folder, Lua definitions and TypeScript declarations
+   * @param {string} resourceName
+   * @returns {Object} Map of filename to content, empty when the resource has no exports
+   */
+  generateResourceFiles(resourceName) {
+    const typeGenerator = this.createTypeGenerator(resourceName);
+    if (!typeGenerator) return {};
+
+    const declarationGenerator = new DeclarationGenerator(resourceName);
+    declarationGenerator.addExports(typeGenerator.getExports());
+    declarationGenerator.addTypeDefinitions(typeGenerator.getReferencedDefinitions());
+
+    return { ...typeGenerator.generate(), ...declarationGenerator.generate() };
+  }
+
+  /**
+   * Check the documentation of every export and the types written to every state key, and report the files that
+   * couldn't be parsed
+   * @returns {Array} Diagnostics sorted by file and line, see linter.js
+   */
+  lint() {
+    const diagnostics = [];
+
+    for (const error of this.manifests?.errors || []) {
+      diagnostics.push(createDiagnostic('manifest-error', error.message, error));
+    }
+
+    for (const result of this.files.values()) {
+      if (result.error) {
+        diagnostics.push(createDiagnostic('parse-error', result.error.message, { filePath: result.filePath, line: result.error.line }));
+      }
+    }
+
+    for (const resourceName of this.getResourceNames()) {
+      diagnostics.push(...lintExports(this.createTypeGenerator(resourceName).getExports()));
+    }
+
+    // Reported at every write, so each one can be fixed (or the key declared with a union) where it happens
+    for (const conflict of this.createStateBagGenerator().getConflicts()) {
+      for (const write of conflict.writes) {
+        const others = conflict.writes
+          .filter(other => other.type !== write.type && other.type !== 'nil' && other.type !== 'any')
+          .map(other => `\`${other.type}\` (${other.location})`);
+        // A table can mix types by itself, e.g. { 1, 'a' }
+        const mixed = [...getTypeMembers(write.type)].filter(type => type !== 'nil').length > 1;
+        if (others.length === 0 && !mixed) continue;
+
+        const also = others.length > 0 ? ` but also as ${others.join(', ')}` : '';
+        diagnostics.push(createDiagnostic(
+          'state-type-conflict',
+          `\`${conflict.bag}.${conflict.name}\` is written as \`${write.type}\` here${also}`,
+          write
+        ));
+      }
+    }
+
+    return diagnostics.sort((a, b) => a.filePath.localeCompare(b.filePath) || a.line - b.line);
+  }
+
+  /**
+   * Build the api.json manifest of every resource
+   * @returns {ApiManifestBuilder}
+   */
+  createApiManifestBuilder() {
+    const builder = new ApiManifestBuilder(this.config.inputDirs.map(dir => path.resolve(dir)));
+
+    for (const resourceName of this.getResourceNames()) {
+      const typeGenerator = this.createTypeGenerator(resourceName);
+      builder.addExports(resourceName, typeGenerator.getExports());
+      builder.addTypeDefinitions(resourceName, typeGenerator.getReferencedDefinitions());
+    }
+
+    for (const result of this.files.values()) {
+      builder.addParseResult(result);
+    }
+
+    return builder;
+  }
+
+  /**
+   * Generate the documentation site, from the same data as the api.json manifest
+   * @returns {Object} Map of file path (relative to docsDir) to content
+   */
+  generateDocsFiles() {
+    const { inputDirs, docsDir, docsFormat, docsSourceUrl } = this.config;
+
+    return new DocsGenerator(this.createApiManifestBuilder().build(), {
+      format: docsFormat,
+      sourceUrl: docsSourceUrl,
+      sourceRoots: inputDirs.map(dir => path.resolve(dir)),
+      outputDir: path.resolve(docsDir)
+    }).generate();
+  }
+
+  /**
+   * Build a state bag generator holding the states of every file (GlobalState, Player.state, LocalPlayer.state, Entity.state)
+   * @returns {StateBagGenerator}
+   */
+  createStateBagGenerator() {
+    const stateBagGenerator = new StateBagGenerator(this.config.inputDirs.map(dir => path.resolve(dir)));
+
+    for (const result of this.files.values()) {
+      if (result.globalStates.length > 0) {
+        stateBagGenerator.addGlobalStates(result.globalStates, result.resourceName);
+      }
+      if (result.playerStates.length > 0) {
+        stateBagGenerator.addPlayerStates(result.playerStates, result.resourceName);
+      }
+      if (result.localPlayerStates.length > 0) {
+        stateBagGenerator.addLocalPlayerStates(result.localPlayerStates, result.resourceName);
+      }
+      if (result.entityStates.length > 0) {
+        stateBagGenerator.addEntityStates(result.entityStates, result.resourceName);
+      }
+    }
+
+    return stateBagGenerator;
+  }
+
+  /**
+   * Build an event generator holding the event registrations of every file
+   * @returns {EventGenerator}
+   */
+  createEventGenerator() {
+    const eventGenerator = new EventGenerator();
+
+    for (const result of this.files.values()) {
+      if (result.events.length > 0) {
+        eventGenerator.addEvents(result.events, result.resourceName);
+      }
+    }
+
+    return eventGenerator;
+  }
+
+  /**
+   * Build a callback generator holding the callback registrations of every file
+   * @returns {CallbackGenerator}
+   */
+  createCallbackGenerator() {
+    const callbackGenerator = new CallbackGenerator();
+
+    for (const result of this.files.values()) {
+      if (result.callbacks.length > 0) {
+        callbackGenerator.addCallbacks(result.callbacks, result.resourceName);
+      }
+    }
+
+    return callbackGenerator;
+  }
+
+  /**
+   * Generate the files of the _internal folder, which merge the results of all resources
+   * @returns {Object} Map of filename to content
+   */
+  generateInternalFiles() {
+    return {
+      ...this.createStateBagGenerator().generate(),
+      ...this.createEventGenerator().generate(),
+      ...this.createCallbackGenerator().generate()
+    };
+  }
+
+  /**
+   * Generate every file of the output directory: a folder per resource with exports, the _internal folder and api.json
+   * @returns {Object} Map of file path (relative to outputDir) to content, empty when nothing was found
+   */
+  generateFiles() {
+    const files = {};
+
+    for (const resourceName of this.getResourceNames()) {
+      for (const [filename, content] of Object.entries(this.generateResourceFiles(resourceName))) {
+        files[`${resourceName}/${filename}`] = content;
+      }
+    }
+
+    for (const [filename, content] of Object.entries(this.generateInternalFiles())) {
+      files[`_internal/${filename}`] = content;
+    }
+
+    if (Object.keys(files).length > 0) {
+      files[API_MANIFEST_FILE] = this.createApiManifestBuilder().generate()[API_MANIFEST_FILE];
+    }
+
+    return files;
+  }
+}
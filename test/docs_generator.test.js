@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { generate } from '../src/api.js';
+
+/**
+ * Create a server with a resource in a [core] category folder
+ * @returns {string} Resources directory
+ */
+function createServer() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'fivem-type-gen-'));
+  const resourceDir = path.join(root, 'res', '[core]', 'core');
+
+  fs.mkdirSync(path.join(resourceDir, 'client'), { recursive: true });
+  fs.writeFileSync(path.join(resourceDir, 'fxmanifest.lua'), "fx_version 'cerulean'\ngame 'gta5'\n\nclient_script 'client/main.lua'\n");
+  fs.writeFileSync(path.join(resourceDir, 'client', 'main.lua'), "\nexports('GetCore', function()\n  return {}\nend)\n");
+
+  return root;
+}
+
+test('source links of resources in bracket folders', async (t) => {
+  const root = createServer();
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const { docs } = await generate({
+    inputDirs: [path.join(root, 'res')],
+    outputDir: path.join(root, 'types'),
+    docsDir: path.join(root, 'docs'),
+    docsFormat: 'both'
+  });
+
+  const markdown = docs['resources/core.md'];
+  const html = docs['resources/core.html'];
+
+  assert.match(markdown, /\[\\\[core\\\]\/core\/client\/main\.lua:2\]\(\S+main\.lua#L2\)/);
+  assert.match(html, /<a href="[^"]*%5Bcore%5D\/core\/client\/main\.lua#L2">\[core\]\/core\/client\/main\.lua:2<\/a>/);
+  assert.doesNotMatch(html, /\\\[/);
+});